@@ -0,0 +1,61 @@
+// <gratitude-wall owner="octo" repo="hello" limit="12" tag="docs" sort="top">
+// Drop this script on any page to show a live, read-only gratitude wall. The
+// wall renders in an iframe that grows to fit its content.
+(() => {
+  if (window.customElements.get('gratitude-wall')) return;
+
+  const script = document.currentScript;
+  const origin = script ? new URL(script.src, window.location.href).origin : window.location.origin;
+  const FORWARDED = ['limit', 'tag', 'sort'];
+
+  class GratitudeWall extends HTMLElement {
+    static get observedAttributes() {
+      return ['owner', 'repo', ...FORWARDED];
+    }
+
+    constructor() {
+      super();
+      this.frame = document.createElement('iframe');
+      this.frame.setAttribute('loading', 'lazy');
+      this.frame.setAttribute('title', 'Gratitude wall');
+      this.frame.style.cssText = 'display:block;width:100%;height:480px;border:0;background:transparent;';
+      this.attachShadow({ mode: 'open' }).appendChild(this.frame);
+      this.onMessage = (event) => {
+        if (event.origin !== origin || event.source !== this.frame.contentWindow) return;
+        const { type, height } = event.data || {};
+        if (type === 'gratitude-wall:resize' && Number.isFinite(height)) {
+          this.frame.style.height = `${height}px`;
+        }
+      };
+    }
+
+    connectedCallback() {
+      window.addEventListener('message', this.onMessage);
+      this.render();
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener('message', this.onMessage);
+    }
+
+    attributeChangedCallback() {
+      if (this.isConnected) this.render();
+    }
+
+    render() {
+      const owner = this.getAttribute('owner');
+      const repo = this.getAttribute('repo');
+      if (!owner || !repo) return;
+      const params = new URLSearchParams();
+      FORWARDED.forEach((name) => {
+        const value = this.getAttribute(name);
+        if (value) params.set(name, value);
+      });
+      const query = params.toString();
+      const src = `${origin}/embed/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}${query ? `?${query}` : ''}`;
+      if (this.frame.src !== src) this.frame.src = src;
+    }
+  }
+
+  window.customElements.define('gratitude-wall', GratitudeWall);
+})();
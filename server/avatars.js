@@ -0,0 +1,87 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+
+const MAX_SOURCE_BYTES = 2 * 1024 * 1024;
+const FAILURE_BACKOFF_MS = 10 * 60 * 1000;
+
+// GitHub's image proxy drops external <image href> references in SVGs, so the
+// snapshot embeds avatars as data URIs. Each source URL is fetched once,
+// resized, and kept on disk until it expires.
+export function createAvatarCache({ dir, ttlMs, size = 96, allowedHosts = [], timeoutMs = 4000 }) {
+  const pending = new Map();
+  const failures = new Map();
+
+  const fileFor = (url) => path.join(dir, `${crypto.createHash('sha256').update(`${size}:${url}`).digest('hex')}.jpg`);
+
+  function allowed(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' && (!allowedHosts.length || allowedHosts.includes(parsed.hostname));
+    } catch {
+      return false;
+    }
+  }
+
+  async function download(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) throw new Error(`avatar fetch returned ${response.status}`);
+    if (Number(response.headers.get('content-length')) > MAX_SOURCE_BYTES) throw new Error('avatar too large');
+    const source = Buffer.from(await response.arrayBuffer());
+    if (source.length > MAX_SOURCE_BYTES) throw new Error('avatar too large');
+    return sharp(source)
+      .resize(size, size, { fit: 'cover' })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: 82 })
+      .toBuffer();
+  }
+
+  async function refresh(url, file) {
+    const image = await download(url);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, image);
+    return image;
+  }
+
+  async function read(url) {
+    const file = fileFor(url);
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat && Date.now() - stat.mtimeMs < ttlMs) return fs.readFile(file);
+
+    const failedAt = failures.get(url);
+    if (failedAt && Date.now() - failedAt < FAILURE_BACKOFF_MS) {
+      return stat ? fs.readFile(file) : null;
+    }
+
+    try {
+      const image = await refresh(url, file);
+      failures.delete(url);
+      return image;
+    } catch (err) {
+      failures.set(url, Date.now());
+      console.warn('[avatars] fetch failed', { url, error: err?.message || err });
+      // An expired copy beats falling back to initials.
+      return stat ? fs.readFile(file) : null;
+    }
+  }
+
+  async function dataUri(url) {
+    if (!url || !allowed(url)) return null;
+    if (!pending.has(url)) {
+      pending.set(url, read(url).finally(() => pending.delete(url)));
+    }
+    const image = await pending.get(url);
+    return image ? `data:image/jpeg;base64,${image.toString('base64')}` : null;
+  }
+
+  // Resolves every distinct URL in parallel and returns a url -> data URI map,
+  // leaving out avatars that could not be loaded.
+  async function inline(urls) {
+    const unique = [...new Set(urls.filter(Boolean))];
+    const resolved = await Promise.all(unique.map(async (url) => [url, await dataUri(url)]));
+    return Object.fromEntries(resolved.filter(([, uri]) => uri));
+  }
+
+  return { dataUri, inline };
+}
@@ -0,0 +1,93 @@
+import jwt from 'jsonwebtoken';
+
+// Refresh installation tokens a little before GitHub expires them (1h).
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const INSTALLATION_TTL_MS = 60 * 60 * 1000;
+const MISSING_INSTALLATION_TTL_MS = 5 * 60 * 1000;
+
+// GitHub App mode: server-side calls for a repo use a short-lived installation
+// token minted with the app's private key instead of a maintainer's OAuth
+// token. Without an app id and key every lookup returns null and callers fall
+// back to OAuth, so both modes share the same call sites.
+export function createGithubApp({ appId, privateKey, slug = '', apiUrl = 'https://api.github.com', webUrl = 'https://github.com' }) {
+  const enabled = Boolean(appId && privateKey);
+  const installations = new Map();
+  const tokens = new Map();
+  const repoKey = (owner, repo) => `${owner}/${repo}`.toLowerCase();
+
+  function appJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    // Backdated to tolerate clock drift; GitHub caps app JWTs at 10 minutes.
+    return jwt.sign({ iat: now - 60, exp: now + 9 * 60, iss: String(appId) }, privateKey, { algorithm: 'RS256' });
+  }
+
+  async function appRequest(pathname, { method = 'GET', body } = {}) {
+    const response = await fetch(`${apiUrl}${pathname}`, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        Authorization: `Bearer ${appJwt()}`,
+        'User-Agent': 'gratitude-wall',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      const err = new Error((await response.text()) || 'GitHub App request failed');
+      err.status = response.status;
+      throw err;
+    }
+    return response.json();
+  }
+
+  // Returns the installation id covering owner/repo, or null when the app is
+  // disabled or not installed there. Misses are cached briefly so walls that
+  // never install the app don't pay for a lookup on every request.
+  async function installationFor(owner, repo) {
+    if (!enabled) return null;
+    const key = repoKey(owner, repo);
+    const cached = installations.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.id;
+
+    let id = null;
+    try {
+      id = (await appRequest(`/repos/${owner}/${repo}/installation`)).id || null;
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+    installations.set(key, { id, expiresAt: Date.now() + (id ? INSTALLATION_TTL_MS : MISSING_INSTALLATION_TTL_MS) });
+    return id;
+  }
+
+  async function installationToken(installationId) {
+    const cached = tokens.get(installationId);
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) return cached.token;
+    const data = await appRequest(`/app/installations/${installationId}/access_tokens`, { method: 'POST' });
+    tokens.set(installationId, { token: data.token, expiresAt: new Date(data.expires_at).getTime() });
+    return data.token;
+  }
+
+  // Drops cached state after GitHub rejects a token, e.g. once the app is
+  // uninstalled or its permissions change.
+  function forget(installationId) {
+    tokens.delete(installationId);
+    for (const [key, entry] of installations) {
+      if (entry.id === installationId) installations.delete(key);
+    }
+  }
+
+  // Skips the cache, e.g. right after the app was installed on the repo.
+  async function refreshInstallation(owner, repo) {
+    installations.delete(repoKey(owner, repo));
+    return installationFor(owner, repo);
+  }
+
+  return {
+    enabled,
+    installUrl: enabled && slug ? `${webUrl}/apps/${slug}/installations/new` : '',
+    installationFor,
+    installationToken,
+    refreshInstallation,
+    forget,
+  };
+}
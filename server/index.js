@@ -1,48 +1,430 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
 import express from 'express';
 import cors from 'cors';
 import jwt from 'jsonwebtoken';
 import { MongoClient, ObjectId } from 'mongodb';
+import { createAvatarCache } from './avatars.js';
+import { createGithubApp } from './github-app.js';
+import { RASTER_FORMATS, RASTER_SCALES, renderRaster } from './raster.js';
+import { clampCarousel, clampSnapshotSize, fitText, layoutSnapshot, measureText } from './snapshot-layout.js';
+import { createTokenCipher, parseTokenKeys } from './token-crypto.js';
 
 const PORT = process.env.PORT || 4000;
 const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
 const GITHUB_CLIENT_ID = process.env.GITHUB_CLIENT_ID || '';
 const GITHUB_CLIENT_SECRET = process.env.GITHUB_CLIENT_SECRET || '';
+// Overridable so the server can run against a local GitHub stub.
+const GITHUB_API_URL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/$/, '');
+const GITHUB_WEB_URL = (process.env.GITHUB_WEB_URL || 'https://github.com').replace(/\/$/, '');
+const GITHUB_APP_ID = process.env.GITHUB_APP_ID || '';
+const GITHUB_APP_PRIVATE_KEY = (process.env.GITHUB_APP_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+const GITHUB_APP_SLUG = process.env.GITHUB_APP_SLUG || '';
+// With a GitHub App doing the repo work, sign-in only needs the user's identity.
+const GITHUB_OAUTH_SCOPE = process.env.GITHUB_OAUTH_SCOPE ?? (GITHUB_APP_ID ? '' : 'repo');
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret';
+const GITHUB_TOKEN_KEYS = process.env.GITHUB_TOKEN_KEYS || '';
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
 const BACKEND_URL = process.env.BACKEND_URL || `http://localhost:${PORT}`;
+// Origins the OAuth callback may hand a session to. FRONTEND_URL is always allowed.
+const FRONTEND_ORIGINS = [...new Set([FRONTEND_URL, ...(process.env.FRONTEND_ORIGINS || '').split(',')]
+  .map((value) => value.trim())
+  .filter(Boolean)
+  .map((value) => new URL(value).origin))];
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_STATE_COOKIE = 'gw_oauth_state';
+const SESSION_COOKIE = 'gw_session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// Frontends on another site than the API only get the session cookie on
+// fetches with SameSite=None, so that is the default whenever one exists.
+const CROSS_SITE_FRONTENDS = FRONTEND_ORIGINS.filter((origin) => !isSameSite(origin, BACKEND_URL));
+const SESSION_COOKIE_SAMESITE = ['strict', 'lax', 'none'].includes(String(process.env.SESSION_COOKIE_SAMESITE).toLowerCase())
+  ? String(process.env.SESSION_COOKIE_SAMESITE).toLowerCase()
+  : CROSS_SITE_FRONTENDS.length ? 'none' : 'lax';
+if (SESSION_COOKIE_SAMESITE !== 'none' && CROSS_SITE_FRONTENDS.some((origin) => !isSameSite(origin, BACKEND_URL, { loose: true }))) {
+  throw new Error(
+    `SESSION_COOKIE_SAMESITE=${SESSION_COOKIE_SAMESITE} would keep browsers from sending the session cookie from ` +
+    `${CROSS_SITE_FRONTENDS.join(', ')}, which is on a different site than BACKEND_URL (${BACKEND_URL}). ` +
+    'Set it to none or leave it unset.'
+  );
+}
+const MAX_API_TOKENS = 10;
+const PERMISSION_CACHE_TTL_SECONDS = Number(process.env.PERMISSION_CACHE_TTL_SECONDS) || 300;
+const MAX_PERMISSION_CACHE_ENTRIES = 5000;
+// Wall roles, lowest first. Each role can do everything the ones before it can.
+const ROLES = ['viewer', 'moderator', 'editor', 'owner'];
+const ROLE_RANK = Object.fromEntries(ROLES.map((role, index) => [role, index]));
+// What a repo collaborator gets on the wall unless an owner says otherwise.
+const GITHUB_ROLE_DEFAULTS = { admin: 'owner', maintain: 'editor', write: 'editor', triage: 'moderator', read: 'viewer' };
+const MAX_WALL_MEMBERS = 100;
+const GITHUB_LOGIN_PATTERN = /^[a-z\d](?:[a-z\d-]{0,38})$/i;
+const MAX_PENDING_INVITES = 20;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017';
 const MONGODB_DB = process.env.MONGODB_DB || 'gratitude_wall';
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+const CHEER_RATE_LIMIT = Number(process.env.CHEER_RATE_LIMIT) || 30;
+const NOMINATION_RATE_LIMIT = Number(process.env.NOMINATION_RATE_LIMIT) || 10;
+const SPA_INDEX_PATH = process.env.SPA_INDEX_PATH || '';
+const SPA_INDEX_URL = process.env.SPA_INDEX_URL || `${FRONTEND_URL}/index.html`;
+const SPA_INDEX_TTL_MS = 5 * 60 * 1000;
+const AVATAR_CACHE_DIR = process.env.AVATAR_CACHE_DIR || fileURLToPath(new URL('./cache/avatars', import.meta.url));
+const AVATAR_CACHE_TTL_HOURS = Number(process.env.AVATAR_CACHE_TTL_HOURS) || 24;
+const AVATAR_HOSTS = (process.env.AVATAR_HOSTS || 'avatars.githubusercontent.com,github.com')
+  .split(',')
+  .map((host) => host.trim())
+  .filter(Boolean);
 
 const app = express();
-app.use(cors({ origin: CORS_ORIGIN === '*' ? '*' : CORS_ORIGIN.split(','), credentials: true }));
-app.use(express.json({ limit: '1mb' }));
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+// Only the app's own frontends get credentialed CORS; everyone else can read
+// the public endpoints but never rides along on a session cookie.
+app.use(cors((req, callback) => {
+  const origin = req.headers.origin;
+  if (origin && FRONTEND_ORIGINS.includes(origin)) return callback(null, { origin, credentials: true });
+  return callback(null, { origin: CORS_ORIGIN === '*' ? '*' : CORS_ORIGIN.split(',') });
+}));
+app.use(express.json({
+  limit: '1mb',
+  // Webhook signatures are computed over the exact bytes GitHub sent.
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 let db;
 let usersCollection;
 let projectsCollection;
 let kudosCollection;
+let revisionsCollection;
+let cheersCollection;
+let deliveriesCollection;
+let oauthStatesCollection;
+let sessionsCollection;
+let apiTokensCollection;
+
+const FIRST_TIME_ASSOCIATIONS = ['FIRST_TIME_CONTRIBUTOR', 'FIRST_TIMER'];
+const DEFAULT_WEBHOOK_RULES = { merged_prs: true, first_time: true };
+
+const DEFAULT_TAGS = [
+  { slug: 'docs', label: 'Docs', color: '#2b7a78', description: 'Guides, READMEs and reference docs.' },
+  { slug: 'bugfix', label: 'Bugfix', color: '#ef476f', description: 'Squashed bugs and regressions.' },
+  { slug: 'refactor', label: 'Refactor', color: '#6f5cff', description: 'Cleaner, safer internals.' },
+  { slug: 'design', label: 'Design', color: '#ff6a3d', description: 'UI, UX and accessibility work.' },
+  { slug: 'mentoring', label: 'Mentoring', color: '#f4b400', description: 'Reviews, pairing and helping newcomers.' },
+  { slug: 'community', label: 'Community', color: '#e2522a', description: 'Showing up for the people around the project.' },
+  { slug: 'tooling', label: 'Tooling', color: '#5d5a56', description: 'CI, builds and developer experience.' },
+  { slug: 'testing', label: 'Testing', color: '#118ab2', description: 'Coverage, fixtures and flaky-test hunting.' },
+].map((tag, order) => ({ ...tag, order }));
+
+const EDITABLE_KUDOS_FIELDS = ['name', 'handle', 'tag', 'message', 'avatar_url'];
+const KUDOS_FIELD_LIMITS = { name: 80, handle: 40, tag: 30, message: 400, avatar_url: 300 };
+
+if (!GITHUB_TOKEN_KEYS) {
+  console.warn('[auth] GITHUB_TOKEN_KEYS is not set; deriving the token encryption key from JWT_SECRET.');
+}
+const tokenCipher = createTokenCipher(GITHUB_TOKEN_KEYS
+  ? parseTokenKeys(GITHUB_TOKEN_KEYS)
+  : [{ id: 'dev', key: crypto.createHash('sha256').update(`github-token:${JWT_SECRET}`).digest() }]);
+
+// Session cookies and API tokens are random secrets; only their hashes are
+// stored, so a database dump can't be replayed as a login.
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
 
-function signToken(user) {
-  return jwt.sign({ id: user._id.toString(), login: user.login }, JWT_SECRET, { expiresIn: '7d' });
+function readCookie(req, name) {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map((part) => part.trim().split('='))
+    .find(([key]) => key === name);
+  return pair ? decodeURIComponent(pair.slice(1).join('=')) : '';
 }
 
-async function authMiddleware(req, res, next) {
+// Without a public suffix list this is conservative: only the same scheme and
+// a shared hostname (or one being a subdomain of the other) count as the same
+// site. Treating a same-site pair as cross-site merely relaxes SameSite, which
+// the CSRF token and Origin check still cover. `loose` also accepts hosts that
+// share their last two labels, so startup only fails on clearly separate sites.
+function isSameSite(a, b, { loose = false } = {}) {
+  const left = new URL(a);
+  const right = new URL(b);
+  if (left.protocol !== right.protocol) return false;
+  const [short, long] = [left.hostname, right.hostname].sort((x, y) => x.length - y.length);
+  if (long === short || long.endsWith(`.${short}`)) return true;
+  const base = (host) => host.split('.').slice(-2).join('.');
+  return loose && base(short) === base(long);
+}
+
+function serializeCookie(name, value, { path = '/', maxAgeMs, sameSite = 'lax' }) {
+  return [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    'HttpOnly',
+    `SameSite=${sameSite[0].toUpperCase()}${sameSite.slice(1)}`,
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    BACKEND_URL.startsWith('https:') || sameSite === 'none' ? 'Secure' : '',
+  ].filter(Boolean).join('; ');
+}
+
+function sessionCookie(secret, maxAgeMs) {
+  return serializeCookie(SESSION_COOKIE, secret, { maxAgeMs, sameSite: SESSION_COOKIE_SAMESITE });
+}
+
+function describeDevice(userAgent = '') {
+  const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  const os = [['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
+  if (!browser && !os) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+  return [browser || 'Browser', os].filter(Boolean).join(' on ');
+}
+
+async function createSession(user, req) {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+  await sessionsCollection.insertOne({
+    user_id: user._id,
+    secret_hash: hashSecret(secret),
+    csrf_token: crypto.randomBytes(24).toString('base64url'),
+    user_agent: String(req.headers['user-agent'] || '').slice(0, 300),
+    created_at: now,
+    last_used_at: now,
+    expires_at: new Date(now.getTime() + SESSION_TTL_MS),
+  });
+  return secret;
+}
+
+// Browsers authenticate with the session cookie. Bearer auth is reserved for
+// API tokens maintainers mint for scripts, which carry no ambient credentials
+// and therefore skip the CSRF check.
+async function resolveAuth(req) {
   const header = req.headers.authorization || '';
-  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
-  if (!token) return res.status(401).json({ error: 'Unauthorized' });
+  if (header.startsWith('Bearer ')) {
+    const apiToken = await apiTokensCollection.findOneAndUpdate(
+      { token_hash: hashSecret(header.slice(7)) },
+      { $set: { last_used_at: new Date() } }
+    );
+    const user = apiToken && await usersCollection.findOne({ _id: apiToken.user_id });
+    return user ? { user, apiToken } : null;
+  }
+
+  const secret = readCookie(req, SESSION_COOKIE);
+  if (!secret) return null;
+  const session = await sessionsCollection.findOne({ secret_hash: hashSecret(secret), expires_at: { $gt: new Date() } });
+  const user = session && await usersCollection.findOne({ _id: session.user_id });
+  if (!user) return null;
+  if (Date.now() - session.last_used_at.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await sessionsCollection.updateOne({ _id: session._id }, { $set: { last_used_at: new Date() } });
+  }
+  return { user, session };
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Cookie-authenticated writes must come from an allowlisted origin and echo
+// the session's CSRF token, which only our frontend can read (via /me).
+function passesCsrf(req, session) {
+  if (SAFE_METHODS.includes(req.method)) return true;
+  const origin = req.headers.origin;
+  if (origin && !FRONTEND_ORIGINS.includes(origin)) return false;
+  const provided = Buffer.from(String(req.headers['x-csrf-token'] || ''));
+  const expected = Buffer.from(session.csrf_token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+async function authMiddleware(req, res, next) {
+  let auth;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await usersCollection.findOne({ _id: new ObjectId(decoded.id) });
-    if (!user) return res.status(401).json({ error: 'Unauthorized' });
-    req.user = user;
-    return next();
+    auth = await resolveAuth(req);
   } catch {
     return res.status(401).json({ error: 'Invalid token' });
   }
+  if (!auth) return res.status(401).json({ error: 'Unauthorized' });
+  if (auth.session && !passesCsrf(req, auth.session)) {
+    return res.status(403).json({ error: 'Missing or invalid CSRF token.', code: 'csrf' });
+  }
+  req.user = auth.user;
+  req.session = auth.session || null;
+  req.apiToken = auth.apiToken || null;
+  return next();
+}
+
+// Anonymous requests are fine here, so a write that fails the CSRF check is
+// simply treated as anonymous rather than rejected.
+async function optionalAuth(req, res, next) {
+  try {
+    const auth = await resolveAuth(req);
+    req.user = auth && (!auth.session || passesCsrf(req, auth.session)) ? auth.user : null;
+  } catch {
+    req.user = null;
+  }
+  return next();
+}
+
+// Account management stays with browser sessions so a leaked API token can't
+// mint more tokens or sign the owner out.
+function requireSession(req, res, next) {
+  if (!req.session) return res.status(403).json({ error: 'Sign in from the browser to manage your account.' });
+  return next();
+}
+
+// Accounts from before encryption keep a plaintext `github_token` until
+// reencryptGithubTokens() migrates them at startup.
+function githubToken(user) {
+  if (user?.github_token_enc) {
+    try {
+      return tokenCipher.decrypt(user.github_token_enc);
+    } catch (err) {
+      console.warn('[auth] unable to decrypt GitHub token', { login: user.login, error: err?.message || err });
+      return '';
+    }
+  }
+  return user?.github_token || '';
+}
+
+// Seals legacy plaintext tokens and re-encrypts anything not under the newest
+// key, so rotating is: prepend a key to GITHUB_TOKEN_KEYS, restart, then drop
+// the old key once this has run.
+async function reencryptGithubTokens() {
+  const users = usersCollection.find(
+    { $or: [{ github_token: { $exists: true } }, { github_token_enc: { $exists: true } }] },
+    { projection: { login: 1, github_token: 1, github_token_enc: 1 } }
+  );
+  let updated = 0;
+  for await (const user of users) {
+    if (!user.github_token && tokenCipher.isCurrent(user.github_token_enc)) continue;
+    const token = githubToken(user);
+    if (!token) continue;
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { github_token_enc: tokenCipher.encrypt(token) }, $unset: { github_token: '' } }
+    );
+    updated += 1;
+  }
+  if (updated) console.log('[auth] re-encrypted GitHub tokens', { updated });
+}
+
+async function forgetGithubToken(user) {
+  await usersCollection.updateOne(
+    { _id: user._id },
+    { $unset: { github_token: '', github_token_enc: '' }, $set: { github_token_revoked_at: new Date() } }
+  );
+}
+
+function githubReconnectError() {
+  const err = new Error('GitHub access expired or was revoked. Reconnect GitHub to continue.');
+  err.code = 'github_reconnect';
+  return err;
+}
+
+function sendPermissionError(res, err) {
+  return res.status(403).json({ error: err.message, ...(err.code ? { code: err.code } : {}) });
+}
+
+// Logged-in viewers cheer as themselves; everyone else gets a salted hash of
+// IP + user agent so the raw values never reach the database.
+function cheerIdentity(req) {
+  if (req.user) return `user:${req.user._id.toString()}`;
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${JWT_SECRET}:${req.ip}:${req.headers['user-agent'] || ''}`)
+    .digest('hex');
+  return `anon:${fingerprint}`;
 }
 
+function createRateLimiter({ windowMs, max, keyFn, message = 'Too many requests. Slow down a little.' }) {
+  const hits = new Map();
+  setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, stamps] of hits) {
+      const fresh = stamps.filter((stamp) => stamp > cutoff);
+      if (fresh.length) hits.set(key, fresh);
+      else hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const key = keyFn(req);
+    const now = Date.now();
+    const stamps = (hits.get(key) || []).filter((stamp) => stamp > now - windowMs);
+    if (stamps.length >= max) {
+      res.set('Retry-After', String(Math.ceil((stamps[0] + windowMs - now) / 1000)));
+      return res.status(429).json({ error: message });
+    }
+    stamps.push(now);
+    hits.set(key, stamps);
+    return next();
+  };
+}
+
+const cheerLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: CHEER_RATE_LIMIT,
+  keyFn: (req) => `${req.ip}:${req.user?._id?.toString() || ''}`,
+  message: 'Too many cheers. Slow down a little.',
+});
+
+// Any GitHub account can nominate, so each one gets a modest hourly budget
+// to keep the moderation queue reviewable.
+const nominationLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: NOMINATION_RATE_LIMIT,
+  keyFn: (req) => `user:${req.user._id.toString()}`,
+  message: 'Too many nominations. Try again later.',
+});
+
+// Embeds revalidate on every view; the ETag makes that a cheap 304.
+const SNAPSHOT_CACHE_CONTROL = 'public, no-cache';
+const SNAPSHOT_RENDER_TTL_MS = 60 * 60 * 1000;
+const MAX_SNAPSHOT_RENDERS = 200;
+// Header text is clipped to the image width anyway; the cap just keeps a long
+// `?title=` from turning layout into a CPU sink.
+const SNAPSHOT_TEXT_LIMIT = 120;
+
+const MAX_SNAPSHOT_PRESETS = 20;
+const SNAPSHOT_PRESET_FIELDS = [
+  'theme', 'accent', 'background', 'layout', 'title', 'subtitle',
+  'titleColor', 'subtitleColor', 'cardTextColor', 'cardSubtextColor',
+  'width', 'height', 'count', 'sort', 'mode', 'pageSize', 'dwell', 'transition',
+];
+
+const BADGE_METRICS = {
+  kudos: { label: 'kudos', stat: 'totalKudos' },
+  week: { label: 'kudos this week', stat: 'weekCount' },
+  contributors: { label: 'contributors thanked', stat: 'totalContributors' },
+  cheers: { label: 'cheers', stat: 'totalCheers' },
+};
+const BADGE_STYLES = ['flat', 'flat-square', 'for-the-badge'];
+const snapshotRenders = new Map();
+// Closed PRs come 100 per page; older ranges on busy repos need a few pages.
+const MAX_PULL_PAGES = 10;
+const MAX_PROFILE_LOOKUPS = 30;
+const PROFILE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_PROFILE_CACHE_ENTRIES = 2000;
+// lowercased login -> { name, expiresAt }
+const profileCache = new Map();
+// `owner/repo:login` -> { permission, expiresAt }
+const permissionCache = new Map();
+
+const githubApp = createGithubApp({
+  appId: GITHUB_APP_ID,
+  privateKey: GITHUB_APP_PRIVATE_KEY,
+  slug: GITHUB_APP_SLUG,
+  apiUrl: GITHUB_API_URL,
+  webUrl: GITHUB_WEB_URL,
+});
+
+const avatarCache = createAvatarCache({
+  dir: AVATAR_CACHE_DIR,
+  ttlMs: AVATAR_CACHE_TTL_HOURS * 60 * 60 * 1000,
+  allowedHosts: AVATAR_HOSTS,
+});
+
 async function githubRequest(pathname, token) {
-  const response = await fetch(`https://api.github.com${pathname}`, {
+  const response = await fetch(`${GITHUB_API_URL}${pathname}`, {
     headers: {
       Accept: 'application/vnd.github+json',
       Authorization: `Bearer ${token}`,
@@ -51,13 +433,34 @@ async function githubRequest(pathname, token) {
   });
   if (!response.ok) {
     const text = await response.text();
-    throw new Error(text || 'GitHub request failed');
+    const err = new Error(text || 'GitHub request failed');
+    err.status = response.status;
+    throw err;
   }
   return response.json();
 }
 
+// Deleting the grant revokes every token GitHub issued to this app for the user.
+async function revokeGithubGrant(token) {
+  const credentials = Buffer.from(`${GITHUB_CLIENT_ID}:${GITHUB_CLIENT_SECRET}`).toString('base64');
+  const response = await fetch(`${GITHUB_API_URL}/applications/${GITHUB_CLIENT_ID}/grant`, {
+    method: 'DELETE',
+    headers: {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/json',
+      'User-Agent': 'gratitude-wall',
+    },
+    body: JSON.stringify({ access_token: token }),
+  });
+  // 404 means the grant is already gone.
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`GitHub grant revocation failed (${response.status})`);
+  }
+}
+
 async function exchangeCode(code) {
-  const response = await fetch('https://github.com/login/oauth/access_token', {
+  const response = await fetch(`${GITHUB_WEB_URL}/login/oauth/access_token`, {
     method: 'POST',
     headers: { Accept: 'application/json' },
     body: new URLSearchParams({
@@ -72,6 +475,62 @@ async function exchangeCode(code) {
   return data.access_token;
 }
 
+// Only allowlisted frontend origins may receive a token. Anything else, including
+// protocol-relative tricks like `//evil.example`, falls back to FRONTEND_URL.
+function resolveReturnTo(value) {
+  const fallback = new URL('/', FRONTEND_URL);
+  if (typeof value !== 'string' || !value || value.length > 2000) return fallback;
+  try {
+    const url = new URL(value, FRONTEND_URL);
+    if (!FRONTEND_ORIGINS.includes(url.origin)) return fallback;
+    // If the frontend host rewrites /auth/callback to /, pre-empt by using root.
+    if (url.pathname.startsWith('/auth/callback')) return new URL('/', url.origin);
+    url.hash = '';
+    ['token', 'access_token', 'login', 'error'].forEach((param) => url.searchParams.delete(param));
+    return url;
+  } catch {
+    return fallback;
+  }
+}
+
+function oauthStateCookie(value, maxAgeMs) {
+  return serializeCookie(OAUTH_STATE_COOKIE, value, { path: '/auth/github', maxAgeMs });
+}
+
+// The state is a signed, short-lived JWT around a random nonce. The nonce is
+// also stored server-side (deleted on first use) and pinned to the starting
+// browser with a cookie, so a callback URL can't be replayed or planted.
+async function createOAuthState(returnTo) {
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const now = new Date();
+  await oauthStatesCollection.insertOne({
+    _id: nonce,
+    return_to: returnTo.toString(),
+    created_at: now,
+    expires_at: new Date(now.getTime() + OAUTH_STATE_TTL_MS),
+  });
+  const state = jwt.sign({ nonce }, JWT_SECRET, {
+    audience: 'oauth-state',
+    expiresIn: Math.floor(OAUTH_STATE_TTL_MS / 1000),
+  });
+  return { nonce, state };
+}
+
+async function consumeOAuthState(state, cookieNonce) {
+  let nonce;
+  try {
+    ({ nonce } = jwt.verify(String(state || ''), JWT_SECRET, { audience: 'oauth-state' }));
+  } catch {
+    throw new Error('Sign-in link expired. Please try again.');
+  }
+  if (!cookieNonce || cookieNonce !== nonce) {
+    throw new Error('Sign-in was started in a different browser. Please try again.');
+  }
+  const stored = await oauthStatesCollection.findOneAndDelete({ _id: nonce, expires_at: { $gt: new Date() } });
+  if (!stored) throw new Error('Sign-in link already used or expired. Please try again.');
+  return resolveReturnTo(stored.return_to);
+}
+
 function ensureAuthConfig(req, res, next) {
   if (!GITHUB_CLIENT_ID || !GITHUB_CLIENT_SECRET) {
     return res.status(500).json({ error: 'GitHub OAuth not configured.' });
@@ -79,182 +538,975 @@ function ensureAuthConfig(req, res, next) {
   return next();
 }
 
+// Repo-scoped calls go through the GitHub App installation on that repo when
+// there is one, and fall back to the signed-in user's OAuth token otherwise.
+async function repoToken(user, owner, repo) {
+  const installationId = await githubApp.installationFor(owner, repo);
+  return installationId ? githubApp.installationToken(installationId) : githubToken(user);
+}
+
+// GitHub's permission level for the user on owner/repo, or null when they are
+// not a collaborator the app or their token can see.
+async function fetchGithubPermission(user, owner, repo) {
+  const installationId = await githubApp.installationFor(owner, repo);
+  const token = installationId ? await githubApp.installationToken(installationId) : githubToken(user);
+  if (!token) throw githubReconnectError();
+  try {
+    // With an installation token this is the app's view of the collaborator
+    // list, so the user's own token never needs repo access.
+    const viewer = await githubRequest(`/repos/${owner}/${repo}/collaborators/${user.login}/permission`, token);
+    return viewer?.permission || null;
+  } catch (err) {
+    if (err.status === 403 || err.status === 404) return null;
+    if (err.status !== 401) throw err;
+    if (installationId) {
+      githubApp.forget(installationId);
+      throw new Error('GitHub rejected the app installation token. Try again in a moment.');
+    }
+    await forgetGithubToken(user);
+    throw githubReconnectError();
+  }
+}
+
+// Cached so routine posts and moderation don't each cost a GitHub round-trip.
+// Failures are never cached; a revoked collaborator keeps access for at most
+// one TTL.
+const permissionKey = (user, owner, repo) => `${owner}/${repo}:${user.login}`.toLowerCase();
+
+async function githubPermission(user, owner, repo) {
+  const key = permissionKey(user, owner, repo);
+  const cached = permissionCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.permission;
+  const permission = await fetchGithubPermission(user, owner, repo);
+  if (permissionCache.size >= MAX_PERMISSION_CACHE_ENTRIES) {
+    permissionCache.delete(permissionCache.keys().next().value);
+  }
+  permissionCache.set(key, { permission, expiresAt: Date.now() + PERMISSION_CACHE_TTL_SECONDS * 1000 });
+  return permission;
+}
+
+// Creating a wall needs real push access to the repo; everything after that
+// goes through wall roles.
 async function ensureMaintainer(user, owner, repo) {
-  if (!user.github_token) throw new Error('GitHub token missing.');
-  const viewer = await githubRequest(`/repos/${owner}/${repo}/collaborators/${user.login}/permission`, user.github_token);
-  const perm = viewer?.permission;
+  const perm = await githubPermission(user, owner, repo);
   if (!['admin', 'maintain', 'write'].includes(perm)) {
     throw new Error('You must be a maintainer to manage this wall.');
   }
   return perm;
 }
 
-function escapeXml(value) {
-  return String(value)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
+function projectMembers(project) {
+  return Array.isArray(project.members) ? project.members : [];
 }
 
-function buildSnapshotSvg({ owner, repo, kudos, settings }) {
-  const width = 1200;
-  const height = 630;
-  const cardWidth = 340;
-  const cardHeight = 140;
-  const cols = 3;
-  const gap = 20;
-  const offsetX = 60;
-  const offsetY = 150;
-  const theme = settings?.theme || 'warm';
-  const accent = settings?.accent || '#ff6a3d';
-  const background = settings?.background || 'sunset';
-  const backgrounds = {
-    sunset: ['#FFF0E6', '#F6F3EF'],
-    ocean: ['#DDF3FF', '#F3FBFF'],
-    paper: ['#FBF7F2', '#F3E9DE'],
-    neon: ['#1b1b2f', '#25274d'],
+// Members are matched on GitHub's numeric id: logins can be renamed and the
+// old name later registered by someone else.
+function findMember(project, githubId) {
+  return projectMembers(project).find((member) => member.github_id === githubId) || null;
+}
+
+// An explicit membership wins over the GitHub mapping, so owners can both
+// invite people without repo access and narrow what a collaborator may do.
+// Repo admins are the exception: no pin can lock them out of their own wall.
+async function wallRole(user, project) {
+  const member = findMember(project, user.github_id);
+  if (member?.role === 'owner') return 'owner';
+  let permission;
+  try {
+    permission = await githubPermission(user, project.owner, project.repo);
+  } catch (err) {
+    // Invited members may have no usable GitHub token; their pin still holds.
+    if (!member) throw err;
+    return member.role;
+  }
+  if (permission === 'admin') return 'owner';
+  return member ? member.role : GITHUB_ROLE_DEFAULTS[permission] || null;
+}
+
+function hasRole(role, minimum) {
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[minimum];
+}
+
+async function ensureRole(user, project, minimum) {
+  const role = await wallRole(user, project);
+  if (!hasRole(role, minimum)) {
+    throw new Error(minimum === 'owner' ? 'Only wall owners can do that.' : `You need the ${minimum} role on this wall.`);
+  }
+  return role;
+}
+
+function activeKudosFilter(projectId) {
+  return { project_id: projectId, deleted_at: null, status: { $in: [null, 'published'] } };
+}
+
+// Bodies come straight from JSON, so anything but a string is rejected before
+// buildKudosDoc or diffKudos slices it. Edits may send null to leave a field.
+function kudosFieldTypeError(body, { allowNull = false } = {}) {
+  const skip = (value) => value === undefined || (allowNull && value === null);
+  const invalid = EDITABLE_KUDOS_FIELDS.find((field) => !skip(body[field]) && typeof body[field] !== 'string');
+  return invalid ? `${invalid} must be a string.` : null;
+}
+
+function kudosInputError(body) {
+  const { name, message } = body;
+  if (typeof name !== 'string' || typeof message !== 'string' || !name.trim() || !message.trim()) {
+    return 'name and message required.';
+  }
+  return kudosFieldTypeError(body);
+}
+
+// Kudos sent without a tag land on the wall's own default, since `docs` may
+// have been renamed or removed.
+function buildKudosDoc(project, body) {
+  const { name, handle = '', tag, message, avatar_url } = body;
+  const doc = {
+    project_id: project._id,
+    name: name.slice(0, 80),
+    handle: handle.slice(0, 40),
+    tag: (tag || resolveTag(project, 'docs')).slice(0, 30),
+    message: message.slice(0, 400),
+    avatar_url: avatar_url ? avatar_url.slice(0, 300) : '',
+    boosts: 0,
+    created_at: new Date(),
   };
-  const base = backgrounds[background] || backgrounds.sunset;
-  const bgStart = theme === 'midnight' ? '#0f141a' : base[0];
-  const bgEnd = theme === 'midnight' ? '#1a1f26' : base[1];
-  const defaultTitle = theme === 'midnight' ? '#f5f5f5' : '#161515';
-  const defaultSubtitle = theme === 'midnight' ? '#c5c5c5' : '#5d5a56';
-  const textMain = (theme === 'midnight' && settings?.titleColor === '#161515') ? defaultTitle : (settings?.titleColor || defaultTitle);
-  const textSub = (theme === 'midnight' && settings?.subtitleColor === '#5d5a56') ? defaultSubtitle : (settings?.subtitleColor || defaultSubtitle);
-  const cardText = settings?.cardTextColor || textMain;
-  const cardSub = settings?.cardSubtextColor || textSub;
-  const cardFill = theme === 'midnight' ? '#171c22' : '#ffffff';
-  const cardStroke = theme === 'midnight' ? '#2a313a' : '#E2DBD3';
-
-  const cards = kudos.slice(0, 10).map((entry, index) => {
-    const col = index % cols;
-    const row = Math.floor(index / cols);
-    const x = offsetX + col * (cardWidth + gap);
-    const y = offsetY + row * (cardHeight + gap);
-    const name = escapeXml(entry.name || 'Contributor');
-    const handle = escapeXml(entry.handle || '');
-    const message = escapeXml(entry.message || 'Thanks for your contributions!');
-    const tag = escapeXml(entry.tag || 'community');
-    const initials = escapeXml((entry.name || 'C').slice(0, 2).toUpperCase());
-    const avatar = entry.avatar_url ? escapeXml(entry.avatar_url) : '';
+  const pr = parsePullRef(body.pr);
+  if (pr) doc.pr = pr;
+  return doc;
+}
 
-    return `
-      <g>
-        <rect x="${x}" y="${y}" rx="18" ry="18" width="${cardWidth}" height="${cardHeight}" fill="${cardFill}" stroke="${cardStroke}" />
-        <defs>
-          <clipPath id="clip-${index}">
-            <circle cx="${x + 28}" cy="${y + 36}" r="16" />
-          </clipPath>
-        </defs>
-        ${avatar ? `<image href="${avatar}" x="${x + 12}" y="${y + 20}" width="32" height="32" clip-path="url(#clip-${index})" />` : `<circle cx="${x + 28}" cy="${y + 36}" r="16" fill="${accent}" opacity="0.9" />
-        <text x="${x + 28}" y="${y + 41}" text-anchor="middle" font-family="'Space Grotesk', Arial" font-size="12" fill="#ffffff" font-weight="700">${initials}</text>`}
-        <text x="${x + 56}" y="${y + 36}" font-family="'Space Grotesk', Arial" font-size="20" fill="${cardText}" font-weight="600">${name}</text>
-        <text x="${x + 56}" y="${y + 62}" font-family="'Space Grotesk', Arial" font-size="14" fill="${cardSub}">${handle}</text>
-        <text x="${x + 20}" y="${y + 92}" font-family="'Space Grotesk', Arial" font-size="14" fill="${cardText}">${message.slice(0, 40)}${message.length > 40 ? '…' : ''}</text>
-        <text x="${x + 20}" y="${y + 118}" font-family="'Space Grotesk', Arial" font-size="12" fill="${accent}">#${tag}</text>
-      </g>
-    `;
-  }).join('');
+function parsePullRef(value) {
+  const number = Number(value?.number);
+  if (!Number.isInteger(number) || number <= 0) return null;
+  return {
+    number,
+    url: typeof value.url === 'string' ? value.url.slice(0, 300) : '',
+    title: typeof value.title === 'string' ? value.title.slice(0, 200) : '',
+  };
+}
 
-  return `<?xml version="1.0" encoding="UTF-8"?>
-  <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
-    <defs>
-      <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
-        <stop offset="0%" stop-color="${bgStart}" />
-        <stop offset="100%" stop-color="${bgEnd}" />
-      </linearGradient>
-      <pattern id="grid" width="40" height="40" patternUnits="userSpaceOnUse">
-        <path d="M 40 0 L 0 0 0 40" fill="none" stroke="${theme === 'midnight' ? '#ffffff' : '#161515'}" stroke-width="0.6" />
-      </pattern>
-    </defs>
-    <rect width="100%" height="100%" fill="url(#bg)" />
-    <rect width="100%" height="100%" fill="url(#grid)" opacity="0.08" />
-    <text x="60" y="72" font-family="'Fraunces', Georgia" font-size="36" fill="${textMain}">${escapeXml(settings?.title || 'PR Gratitude Wall')}</text>
-    <text x="60" y="104" font-family="'Space Grotesk', Arial" font-size="18" fill="${textSub}">${escapeXml(settings?.subtitle || `${owner}/${repo}`)}</text>
-    ${cards || `<text x="60" y="200" font-family="'Space Grotesk', Arial" font-size="16" fill="${textSub}">No kudos yet. Maintainers can add the first.</text>`}
-  </svg>`;
+// A PR counts as thanked once a kudos for it is published. The webhook also
+// counts drafts still in the queue so redeliveries don't draft it twice.
+async function findThankedPullNumbers(projectId, numbers, { includePending = false } = {}) {
+  if (!numbers.length) return new Set();
+  const status = includePending ? { $ne: 'rejected' } : { $in: [null, 'published'] };
+  const rows = await kudosCollection
+    .find(
+      { project_id: projectId, deleted_at: null, status, 'pr.number': { $in: numbers } },
+      { projection: { 'pr.number': 1 } }
+    )
+    .toArray();
+  return new Set(rows.map((row) => row.pr.number));
 }
 
-app.get('/health', (req, res) => res.json({ ok: true }));
+const LABEL_TAGS = [
+  [/doc/, 'docs'],
+  [/bug|fix|regression/, 'bugfix'],
+  [/refactor|cleanup|tech.?debt/, 'refactor'],
+  [/design|\bui\b|\bux\b|a11y|accessibility/, 'design'],
+  [/test|\bqa\b/, 'testing'],
+  [/\bci\b|build|tool|infra|dependenc|chore/, 'tooling'],
+  [/mentor|good.first.issue/, 'mentoring'],
+];
+
+const TITLE_PREFIX_TAGS = {
+  docs: 'docs',
+  fix: 'bugfix',
+  refactor: 'refactor',
+  style: 'design',
+  test: 'testing',
+  ci: 'tooling',
+  build: 'tooling',
+  chore: 'tooling',
+};
+
+function inferTagFromPull(pull) {
+  for (const label of pull.labels || []) {
+    const labelName = String(label.name || '').toLowerCase();
+    const match = LABEL_TAGS.find(([pattern]) => pattern.test(labelName));
+    if (match) return match[1];
+  }
+  const prefix = String(pull.title || '').toLowerCase().match(/^(\w+)(\(.+\))?!?:/);
+  return TITLE_PREFIX_TAGS[prefix?.[1]] || 'community';
+}
+
+function userRef(user) {
+  return { id: user._id, login: user.login };
+}
 
-app.get('/auth/github', ensureAuthConfig, (req, res) => {
-  const redirect = encodeURIComponent(`${FRONTEND_URL}/auth/callback`);
-  const url = `https://github.com/login/oauth/authorize?client_id=${GITHUB_CLIENT_ID}&scope=repo&redirect_uri=${encodeURIComponent(`${BACKEND_URL}/auth/github/callback`)}&state=${redirect}`;
-  console.log('[auth/github] redirecting to GitHub OAuth', {
-    frontend: FRONTEND_URL,
-    backend: BACKEND_URL,
+async function recordRevision({ kudosId, projectId, user, action, diff = {}, at = new Date() }) {
+  await revisionsCollection.insertOne({
+    kudos_id: kudosId,
+    project_id: projectId,
+    action,
+    editor_id: user._id,
+    editor_login: user.login,
+    diff,
+    created_at: at,
   });
-  res.redirect(url);
-});
+}
 
-app.get('/auth/github/callback', ensureAuthConfig, async (req, res) => {
-  try {
-    const { code, state } = req.query;
-    console.log('[auth/github/callback] received', {
-      hasCode: Boolean(code),
-      codeLength: typeof code === 'string' ? code.length : null,
-      hasState: Boolean(state),
-      stateLength: typeof state === 'string' ? state.length : null,
-    });
-    if (!code) {
-      console.warn('[auth/github/callback] missing code');
-    }
-    const accessToken = await exchangeCode(code);
-    const profile = await githubRequest('/user', accessToken);
+function serializeKudos(row, cheeredIds) {
+  return {
+    id: row._id.toString(),
+    name: row.name,
+    handle: row.handle,
+    tag: row.tag,
+    message: row.message,
+    avatar_url: row.avatar_url,
+    boosts: row.boosts,
+    created_at: row.created_at,
+    updated_at: row.updated_at || null,
+    status: row.status || 'published',
+    nominated_by: row.nominated_by?.login || null,
+    approved_by: row.approved_by?.login || null,
+    pr: row.pr || null,
+    references: serializeReferences(row.references),
+    source: row.source || 'manual',
+    cheered: cheeredIds ? cheeredIds.has(row._id.toString()) : undefined,
+  };
+}
 
-    await usersCollection.updateOne(
-      { github_id: profile.id },
-      {
-        $set: {
-          login: profile.login,
-          avatar_url: profile.avatar_url,
-          name: profile.name || '',
-          github_token: accessToken,
+async function findCheeredIds(req, rows) {
+  if (!rows.length) return new Set();
+  const cheers = await cheersCollection
+    .find({ identity: cheerIdentity(req), kudos_id: { $in: rows.map((row) => row._id) } }, { projection: { kudos_id: 1 } })
+    .toArray();
+  return new Set(cheers.map((cheer) => cheer.kudos_id.toString()));
+}
+
+function parseObjectId(value) {
+  return ObjectId.isValid(value) ? new ObjectId(value) : null;
+}
+
+function diffKudos(current, changes) {
+  const diff = {};
+  for (const field of EDITABLE_KUDOS_FIELDS) {
+    if (changes[field] === undefined || changes[field] === null) continue;
+    const next = String(changes[field]).slice(0, KUDOS_FIELD_LIMITS[field]);
+    const previous = current[field] ?? '';
+    if (next !== previous) diff[field] = { from: previous, to: next };
+  }
+  return diff;
+}
+
+const KUDOS_SORTS = {
+  recent: { created_at: -1, _id: -1 },
+  top: { boosts: -1, created_at: -1, _id: -1 },
+  relevance: { score: -1, created_at: -1, _id: -1 },
+  curated: { curated_rank: -1, created_at: -1, _id: -1 },
+};
+
+// Leading sort key per order; recency and _id always break ties after it.
+const SORT_PRIMARY_KEYS = { top: 'boosts', relevance: 'score', curated: 'curated_rank' };
+
+const MAX_CURATED_IDS = 500;
+
+// Ranks are negated so the curated order sorts descending like every other
+// order and can share the same keyset cursor logic. Kudos the maintainer never
+// placed fall in after the arranged ones, newest first.
+function curatedRankStage(project) {
+  const ids = project.curated_order || [];
+  return {
+    $addFields: {
+      curated_rank: {
+        $let: {
+          vars: { position: { $indexOfArray: [ids, '$_id'] } },
+          in: { $cond: [{ $eq: ['$$position', -1] }, -MAX_CURATED_IDS, { $multiply: ['$$position', -1] }] },
         },
-        $setOnInsert: { created_at: new Date() },
       },
-      { upsert: true }
-    );
+    },
+  };
+}
 
-    const user = await usersCollection.findOne({ github_id: profile.id });
-    const token = signToken(user);
+function encodeCursor(row, sort, mode) {
+  const payload = { c: row.created_at.toISOString(), i: row._id.toString(), m: mode };
+  const primary = SORT_PRIMARY_KEYS[sort];
+  if (primary) payload.p = row[primary] || 0;
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
 
-    const redirect = typeof state === 'string' ? decodeURIComponent(state) : `${FRONTEND_URL}/auth/callback`;
-    const redirectUrl = new URL(redirect);
-    // If the frontend host rewrites /auth/callback to /, pre-empt by using root.
-    if (redirectUrl.pathname === '/auth/callback') {
-      redirectUrl.pathname = '/';
+function decodeCursor(value) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const createdAt = new Date(payload.c);
+    const id = parseObjectId(payload.i);
+    if (Number.isNaN(createdAt.getTime()) || !id) return null;
+    return { createdAt, id, primary: Number(payload.p) || 0, mode: payload.m === 'literal' ? 'literal' : 'text' };
+  } catch {
+    return null;
+  }
+}
+
+// Keyset condition for "rows strictly after the cursor" in the given sort order.
+function cursorFilter(cursor, sort) {
+  const afterRecent = [
+    { created_at: { $lt: cursor.createdAt } },
+    { created_at: cursor.createdAt, _id: { $lt: cursor.id } },
+  ];
+  const primary = SORT_PRIMARY_KEYS[sort];
+  if (!primary) return { $or: afterRecent };
+  return {
+    $or: [
+      { [primary]: { $lt: cursor.primary } },
+      ...afterRecent.map((condition) => ({ [primary]: cursor.primary, ...condition })),
+    ],
+  };
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function literalSearchFilter(query) {
+  const pattern = new RegExp(escapeRegExp(query), 'i');
+  return { $or: [{ name: pattern }, { handle: pattern }, { message: pattern }, { tag: pattern }] };
+}
+
+const MAX_REFERENCES = 5;
+
+const REFERENCE_LABELS = { pull: 'PR', issue: 'Issue', commit: 'Commit', discussion: 'Discussion' };
+
+// Accepts full GitHub URLs, `#123`, `owner/repo#123` or a bare commit SHA.
+// Shorthand resolves against the wall's own repository.
+function parseReference(input, owner, repo) {
+  const value = String(input || '').trim();
+  if (!value) return null;
+  const url = value.match(/^https?:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/(pull|issues|commit|discussions)\/([\w]+)(?:\/commits\/([0-9a-f]{7,40}))?/i);
+  if (url) {
+    const [, refOwner, refRepo, kind, id, nestedSha] = url;
+    if (nestedSha) return { type: 'commit', owner: refOwner, repo: refRepo, sha: nestedSha.toLowerCase() };
+    if (kind === 'commit') {
+      return /^[0-9a-f]{7,40}$/i.test(id) ? { type: 'commit', owner: refOwner, repo: refRepo, sha: id.toLowerCase() } : null;
     }
-    // Include token in both query and hash to survive aggressive SPA rewrites.
-    redirectUrl.searchParams.set('token', token);
-    redirectUrl.searchParams.set('login', user.login);
-    redirectUrl.hash = new URLSearchParams({
-      token,
-      login: user.login,
-    }).toString();
-    console.log('[auth/github/callback] redirecting to frontend', {
-      redirect: redirectUrl.toString().split('token=')[0] + 'token=REDACTED',
-    });
-    res.redirect(redirectUrl.toString());
-  } catch (err) {
-    console.error('[auth/github/callback] failed', err?.message || err);
-    res.redirect(`${FRONTEND_URL}/auth/callback?error=${encodeURIComponent(err.message)}`);
+    if (!/^\d+$/.test(id)) return null;
+    const type = { pull: 'pull', issues: 'issue', discussions: 'discussion' }[kind.toLowerCase()];
+    return { type, owner: refOwner, repo: refRepo, number: Number(id) };
   }
-});
+  const shorthand = value.match(/^(?:([\w.-]+)\/([\w.-]+))?#(\d+)$/);
+  if (shorthand) {
+    return { type: 'issue', owner: shorthand[1] || owner, repo: shorthand[2] || repo, number: Number(shorthand[3]) };
+  }
+  if (/^[0-9a-f]{7,40}$/i.test(value)) return { type: 'commit', owner, repo, sha: value.toLowerCase() };
+  return null;
+}
 
-app.get('/me', authMiddleware, (req, res) => {
-  res.json({ login: req.user.login, avatar_url: req.user.avatar_url, name: req.user.name });
-});
+function referenceKey(ref) {
+  return `${ref.owner}/${ref.repo}:${ref.sha || ref.number}`.toLowerCase();
+}
 
-app.get('/github/repos', authMiddleware, async (req, res) => {
+function referenceUrl(ref) {
+  const base = `https://github.com/${ref.owner}/${ref.repo}`;
+  if (ref.type === 'commit') return `${base}/commit/${ref.sha}`;
+  if (ref.type === 'pull') return `${base}/pull/${ref.number}`;
+  if (ref.type === 'discussion') return `${base}/discussions/${ref.number}`;
+  return `${base}/issues/${ref.number}`;
+}
+
+async function resolveReference(ref, token) {
+  const resolved = { ...ref, url: referenceUrl(ref), title: '', state: null, resolved_at: new Date() };
+  const base = `/repos/${ref.owner}/${ref.repo}`;
   try {
-    const repos = await githubRequest('/user/repos?per_page=100&sort=updated', req.user.github_token);
-    const allowed = repos.filter((repo) => repo.permissions?.admin || repo.permissions?.maintain || repo.permissions?.push);
-    res.json(allowed.map((repo) => ({
-      owner: repo.owner?.login,
-      repo: repo.name,
+    if (ref.type === 'commit') {
+      const commit = await githubRequest(`${base}/commits/${ref.sha}`, token);
+      return { ...resolved, sha: commit.sha, title: String(commit.commit?.message || '').split('\n')[0].slice(0, 200), state: 'committed' };
+    }
+    if (ref.type === 'discussion') return resolved;
+    // The issues endpoint answers for pull requests too, which is what `#123` needs.
+    const issue = await githubRequest(`${base}/issues/${ref.number}`, token);
+    if (issue.pull_request) {
+      return {
+        ...resolved,
+        type: 'pull',
+        url: issue.html_url,
+        title: String(issue.title || '').slice(0, 200),
+        state: issue.pull_request.merged_at ? 'merged' : issue.state,
+      };
+    }
+    return { ...resolved, type: 'issue', url: issue.html_url, title: String(issue.title || '').slice(0, 200), state: issue.state };
+  } catch {
+    return { ...resolved, resolved_at: null };
+  }
+}
+
+// `repoToken` reads the wall's own repo; references elsewhere use the user's
+// token so an installation never leaks titles from repos the user can't see.
+async function resolveReferences(inputs, { owner, repo, token, repoToken: wallToken = token }) {
+  if (!Array.isArray(inputs)) return [];
+  const parsed = new Map();
+  for (const input of inputs.slice(0, MAX_REFERENCES * 2)) {
+    const ref = parseReference(input, owner, repo);
+    if (ref && !parsed.has(referenceKey(ref))) parsed.set(referenceKey(ref), ref);
+  }
+  const refs = [...parsed.values()].slice(0, MAX_REFERENCES);
+  const sameRepo = (ref) => ref.owner.toLowerCase() === owner.toLowerCase() && ref.repo.toLowerCase() === repo.toLowerCase();
+  return Promise.all(refs.map((ref) => resolveReference(ref, sameRepo(ref) ? wallToken : token)));
+}
+
+function serializeReferences(refs = []) {
+  return refs.map((ref) => ({
+    type: ref.type,
+    label: ref.type === 'commit' ? `${REFERENCE_LABELS.commit} ${String(ref.sha).slice(0, 7)}` : `${REFERENCE_LABELS[ref.type]} #${ref.number}`,
+    owner: ref.owner,
+    repo: ref.repo,
+    number: ref.number ?? null,
+    sha: ref.sha ?? null,
+    url: ref.url,
+    title: ref.title || '',
+    state: ref.state || null,
+  }));
+}
+
+function verifyWebhookSignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || typeof signature !== 'string') return false;
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(signature);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function webhookConfig(project) {
+  return {
+    secret: project.webhook?.secret || '',
+    auto_publish: Boolean(project.webhook?.auto_publish),
+    rules: { ...DEFAULT_WEBHOOK_RULES, ...(project.webhook?.rules || {}) },
+    url: `${BACKEND_URL}/webhooks/github`,
+    signature_failures: project.webhook?.signature_failures || 0,
+    last_signature_failure_at: project.webhook?.last_signature_failure_at || null,
+  };
+}
+
+async function processWebhookEvent(project, event, payload) {
+  if (event === 'ping') return { status: 'processed', message: 'pong' };
+  if (event !== 'pull_request') return { status: 'ignored', message: `Event "${event}" is not handled.` };
+
+  const pull = payload.pull_request;
+  if (payload.action !== 'closed' || !pull?.merged) {
+    return { status: 'ignored', message: `pull_request.${payload.action} is not a merge.` };
+  }
+
+  const { rules, auto_publish: autoPublish } = webhookConfig(project);
+  const firstTime = FIRST_TIME_ASSOCIATIONS.includes(pull.author_association);
+  if (!rules.merged_prs && !(rules.first_time && firstTime)) {
+    return { status: 'ignored', message: 'No rule matches this pull request.' };
+  }
+  if ((await findThankedPullNumbers(project._id, [pull.number], { includePending: true })).size) {
+    return { status: 'ignored', message: `PR #${pull.number} has already been thanked.` };
+  }
+
+  const login = pull.user?.login || 'contributor';
+  const welcome = rules.first_time && firstTime;
+  const doc = {
+    ...buildKudosDoc(project, {
+      name: login,
+      handle: `@${login}`,
+      tag: resolveTag(project, welcome ? 'community' : inferTagFromPull(pull)),
+      message: welcome
+        ? `Welcome aboard! Thanks for your first contribution, “${pull.title}” (#${pull.number}).`
+        : `Thank you for “${pull.title}” (#${pull.number})!`,
+      avatar_url: pull.user?.avatar_url || '',
+      pr: { number: pull.number, url: pull.html_url, title: pull.title },
+    }),
+    source: 'webhook',
+    references: [{
+      type: 'pull',
+      owner: project.owner,
+      repo: project.repo,
+      number: pull.number,
+      url: pull.html_url,
+      title: String(pull.title || '').slice(0, 200),
+      state: 'merged',
+      resolved_at: new Date(),
+    }],
+  };
+  if (autoPublish && project.webhook?.configured_by) {
+    doc.status = 'published';
+    doc.approved_by = project.webhook.configured_by;
+  } else {
+    doc.status = 'pending';
+  }
+
+  const result = await kudosCollection.insertOne(doc);
+  if (doc.status === 'published') await touchSnapshot(project._id);
+  return {
+    status: 'processed',
+    message: `${doc.status === 'published' ? 'Published' : 'Drafted'} kudos for PR #${pull.number}.`,
+    kudos_id: result.insertedId,
+  };
+}
+
+async function logDelivery(project, { deliveryId, event, payload, outcome, redelivery = false }) {
+  await deliveriesCollection.insertOne({
+    project_id: project._id,
+    delivery_id: deliveryId || null,
+    event: event || null,
+    action: payload?.action || null,
+    status: outcome.status,
+    message: outcome.message,
+    kudos_id: outcome.kudos_id || null,
+    redelivery,
+    payload: payload || null,
+    created_at: new Date(),
+  });
+}
+
+function projectTags(project) {
+  const tags = project?.tags?.length ? project.tags : DEFAULT_TAGS;
+  return [...tags].sort((a, b) => a.order - b.order);
+}
+
+function hasTag(project, slug) {
+  return projectTags(project).some((tag) => tag.slug === slug);
+}
+
+// Used when a tag is picked automatically (PR labels, webhooks, seeding).
+function resolveTag(project, preferred) {
+  const slugs = projectTags(project).map((tag) => tag.slug);
+  if (slugs.includes(preferred)) return preferred;
+  return slugs.includes('community') ? 'community' : slugs[0];
+}
+
+function slugifyTag(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30);
+}
+
+function normalizeTagInput(body, current = {}) {
+  const label = typeof body.label === 'string' && body.label.trim() ? body.label.trim().slice(0, 30) : current.label;
+  const color = typeof body.color === 'string' && /^#[0-9a-f]{6}$/i.test(body.color) ? body.color : current.color || '#ff6a3d';
+  const description = typeof body.description === 'string' ? body.description.trim().slice(0, 140) : current.description || '';
+  const slug = body.slug !== undefined ? slugifyTag(body.slug) : current.slug || slugifyTag(label);
+  return { slug, label: label || slug, color, description, order: current.order ?? 0 };
+}
+
+async function saveProjectTags(project, tags) {
+  const ordered = tags.map((tag, order) => ({ ...tag, order }));
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { tags: ordered } });
+  await touchSnapshot(project._id);
+  return ordered;
+}
+
+// Slugs still on kudos but missing from the taxonomy, e.g. free-form tags from
+// before a wall defined its own.
+async function untrackedTags(project, tags = projectTags(project)) {
+  if (!project) return [];
+  const known = new Set(tags.map((tag) => tag.slug));
+  const used = await kudosCollection.distinct('tag', { project_id: project._id, deleted_at: null });
+  return used.filter((slug) => typeof slug === 'string' && slug && !known.has(slug)).sort();
+}
+
+// Moves every kudos from one tag to another, with an edit revision for each.
+async function retagKudos(project, user, from, to) {
+  const rows = await kudosCollection.find({ project_id: project._id, tag: from }, { projection: { _id: 1 } }).toArray();
+  if (!rows.length) return 0;
+  const now = new Date();
+  const ids = rows.map((row) => row._id);
+  const result = await kudosCollection.updateMany({ _id: { $in: ids }, tag: from }, { $set: { tag: to, updated_at: now } });
+  await Promise.all(ids.map((kudosId) =>
+    recordRevision({ kudosId, projectId: project._id, user, action: 'edit', diff: { tag: { from, to } }, at: now })
+  ));
+  await touchSnapshot(project._id);
+  return result.modifiedCount;
+}
+
+function serializeTags(tags) {
+  return tags.map(({ slug, label, color, description, order }) => ({ slug, label, color, description, order }));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Keyframes for one carousel page. Each page owns an equal slice of the cycle
+// and hands over to the next during the last `transition` seconds of its slice.
+function carouselKeyframes(name, index, pageCount, { dwell, transition }) {
+  const cycle = pageCount * dwell;
+  const pct = (seconds) => `${((seconds / cycle) * 100).toFixed(3)}%`;
+  const fade = transition === 'none' ? Math.min(0.05, dwell / 10) : Math.min(0.6, dwell / 3);
+  const states = transition === 'slide'
+    ? { before: 'opacity: 0; transform: translateX(40px)', visible: 'opacity: 1; transform: translateX(0)', after: 'opacity: 0; transform: translateX(-40px)' }
+    : { before: 'opacity: 0', visible: 'opacity: 1', after: 'opacity: 0' };
+  const start = index * dwell;
+  const end = start + dwell;
+  const stops = index === 0
+    ? [[0, 'visible'], [end - fade, 'visible'], [end, 'after'], [cycle - fade, 'before'], [cycle, 'visible']]
+    : [[0, 'before'], [start - fade, 'before'], [start, 'visible'], [end - fade, 'visible'], [end, 'after'], [cycle, 'after']]
+      .filter(([at], position, list) => !position || at > list[position - 1][0]);
+  return `@keyframes ${name}-${index} { ${stops.map(([at, state]) => `${pct(at)} { ${states[state]}; }`).join(' ')} }
+      .${name}-${index} { animation: ${name}-${index} ${cycle}s linear infinite; }`;
+}
+
+function snapshotPalette(settings, theme) {
+  const backgrounds = {
+    sunset: ['#FFF0E6', '#F6F3EF'],
+    ocean: ['#DDF3FF', '#F3FBFF'],
+    paper: ['#FBF7F2', '#F3E9DE'],
+    neon: ['#1b1b2f', '#25274d'],
+  };
+  const base = backgrounds[settings?.background] || backgrounds.sunset;
+  const midnight = theme === 'midnight';
+  const defaultTitle = midnight ? '#f5f5f5' : '#161515';
+  const defaultSubtitle = midnight ? '#c5c5c5' : '#5d5a56';
+  const textMain = (midnight && settings?.titleColor === '#161515') ? defaultTitle : (settings?.titleColor || defaultTitle);
+  const textSub = (midnight && settings?.subtitleColor === '#5d5a56') ? defaultSubtitle : (settings?.subtitleColor || defaultSubtitle);
+  return {
+    bgStart: midnight ? '#0f141a' : base[0],
+    bgEnd: midnight ? '#1a1f26' : base[1],
+    grid: midnight ? '#ffffff' : '#161515',
+    textMain,
+    textSub,
+    cardText: (midnight && settings?.cardTextColor === '#161515') ? textMain : (settings?.cardTextColor || textMain),
+    cardSub: (midnight && settings?.cardSubtextColor === '#5d5a56') ? textSub : (settings?.cardSubtextColor || textSub),
+    cardFill: midnight ? '#171c22' : '#ffffff',
+    cardStroke: midnight ? '#2a313a' : '#E2DBD3',
+  };
+}
+
+// Each themable element carries a `c-<role>` class. The `auto` theme draws
+// the warm palette as attributes and lets a prefers-color-scheme rule swap in
+// midnight, so rasterizers and CSS-less viewers still get a readable image.
+function autoThemeStyles(settings) {
+  const dark = snapshotPalette(settings, 'midnight');
+  const rules = [
+    ['bg-start', 'stop-color', dark.bgStart],
+    ['bg-end', 'stop-color', dark.bgEnd],
+    ['grid', 'stroke', dark.grid],
+    ['title', 'fill', dark.textMain],
+    ['subtitle', 'fill', dark.textSub],
+    ['card-text', 'fill', dark.cardText],
+    ['card-sub', 'fill', dark.cardSub],
+    ['card', 'fill', dark.cardFill],
+    ['card', 'stroke', dark.cardStroke],
+  ];
+  return `@media (prefers-color-scheme: dark) {
+        ${rules.map(([role, property, value]) => `.c-${role} { ${property}: ${value}; }`).join('\n        ')}
+      }`;
+}
+
+function buildSnapshotSvg({ owner, repo, kudos, settings, size = clampSnapshotSize(), tagColors = {}, avatars = {}, carousel = null }) {
+  const { width, height } = size;
+  const theme = settings?.theme || 'warm';
+  const accent = settings?.accent || '#ff6a3d';
+  const { bgStart, bgEnd, grid, textMain, textSub, cardText, cardSub, cardFill, cardStroke } = snapshotPalette(settings, theme === 'auto' ? 'warm' : theme);
+
+  const referenceLabel = (entry) => serializeReferences(entry.references).slice(0, 3).map((ref) => ref.label).join(' · ');
+  const pageSize = carousel ? carousel.pageSize : kudos.length;
+  const pages = [];
+  for (let start = 0; start < kudos.length; start += pageSize) pages.push(kudos.slice(start, start + pageSize));
+  const layouts = (pages.length ? pages : [[]]).map((rows) => layoutSnapshot({
+    kudos: rows,
+    width,
+    height,
+    layout: settings?.layout,
+    referenceLabel,
+  }));
+  const { header } = layouts[0];
+  const animated = carousel && layouts.length > 1;
+  const dotsWidth = animated ? layouts.length * 16 + 12 : 0;
+  const title = fitText(settings?.title || 'PR Gratitude Wall', header.maxWidth, { size: header.titleSize, weight: 600, family: 'serif' });
+  const subtitle = fitText(settings?.subtitle || `${owner}/${repo}`, header.maxWidth - dotsWidth, { size: header.subtitleSize });
+
+  const renderCard = (card, id) => {
+    const { x, y, style } = card;
+    const cx = x + style.pad + style.avatar;
+    const cy = y + style.pad + style.avatar;
+    const nameX = x + style.pad + style.avatar * 2 + 12;
+    const nameY = style.inlineHandle || !card.handle ? cy + style.name * 0.35 : cy - 3;
+    const footerY = y + card.height - style.pad;
+    const tagColor = escapeXml(tagColors[card.entry.tag] || accent);
+    const initials = escapeXml((card.entry.name || 'C').slice(0, 2).toUpperCase());
+    const avatar = avatars[card.entry.avatar_url] || '';
+    const handle = card.handle
+      ? style.inlineHandle
+        ? `<tspan class="c-card-sub" font-size="${style.handle}" font-weight="400" fill="${cardSub}" dx="10">${escapeXml(card.handle)}</tspan>`
+        : ''
+      : '';
+    const messageLines = card.lines
+      .map((line, lineIndex) => `<tspan x="${x + style.pad}" y="${y + card.messageTop + style.message + lineIndex * style.lineHeight}">${escapeXml(line)}</tspan>`)
+      .join('');
+
+    return `
+      <g>
+        <rect class="c-card" x="${x}" y="${y}" rx="18" ry="18" width="${card.width}" height="${card.height}" fill="${cardFill}" stroke="${cardStroke}" />
+        <defs>
+          <clipPath id="clip-${id}">
+            <circle cx="${cx}" cy="${cy}" r="${style.avatar}" />
+          </clipPath>
+        </defs>
+        ${avatar ? `<image href="${avatar}" x="${cx - style.avatar}" y="${cy - style.avatar}" width="${style.avatar * 2}" height="${style.avatar * 2}" clip-path="url(#clip-${id})" />` : `<circle cx="${cx}" cy="${cy}" r="${style.avatar}" fill="${accent}" opacity="0.9" />
+        <text x="${cx}" y="${cy + style.avatar * 0.3}" text-anchor="middle" font-family="'Space Grotesk', Arial" font-size="${Math.round(style.avatar * 0.75)}" fill="#ffffff" font-weight="700">${initials}</text>`}
+        <text class="c-card-text" x="${nameX}" y="${nameY}" font-family="'Space Grotesk', Arial" font-size="${style.name}" fill="${cardText}" font-weight="600">${escapeXml(card.name)}${handle}</text>
+        ${card.handle && !style.inlineHandle ? `<text class="c-card-sub" x="${nameX}" y="${cy + style.handle + 3}" font-family="'Space Grotesk', Arial" font-size="${style.handle}" fill="${cardSub}">${escapeXml(card.handle)}</text>` : ''}
+        <text class="c-card-text" font-family="'Space Grotesk', Arial" font-size="${style.message}" fill="${cardText}">${messageLines}</text>
+        <text x="${x + style.pad}" y="${footerY}" font-family="'Space Grotesk', Arial" font-size="${style.footer}" fill="${tagColor}">${escapeXml(card.tag)}</text>
+        ${card.refLine ? `<text x="${x + card.width - style.pad}" y="${footerY}" text-anchor="end" class="c-card-sub" font-family="'Space Grotesk', Arial" font-size="${style.footer - 1}" fill="${cardSub}">${escapeXml(card.refLine)}</text>` : ''}
+      </g>
+    `;
+  };
+
+  const cards = animated
+    ? layouts.map(({ cards: placed }, page) => `
+    <g class="page page-${page}"${page ? ' opacity="0"' : ''}>
+      ${placed.map((card, index) => renderCard(card, `${page}-${index}`)).join('')}
+    </g>`).join('')
+    : layouts[0].cards.map((card, index) => renderCard(card, index)).join('');
+  const dots = animated
+    ? layouts.map((_, page) => {
+      const cx = width - header.x - (layouts.length - 1 - page) * 16;
+      return `<circle class="c-subtitle" cx="${cx}" cy="${header.subtitleY - 6}" r="4" fill="${textSub}" opacity="0.3" />
+    <circle class="dot dot-${page}" cx="${cx}" cy="${header.subtitleY - 6}" r="4" fill="${accent}"${page ? ' opacity="0"' : ''} />`;
+    }).join('')
+    : '';
+  // CSS animations survive GitHub's image proxy and need no script. Viewers
+  // that ignore them (or prefer reduced motion) see the first page.
+  const rules = [
+    theme === 'auto' ? autoThemeStyles(settings) : '',
+    ...(animated
+      ? [
+        ...layouts.map((_, page) => carouselKeyframes('page', page, layouts.length, carousel)),
+        ...layouts.map((_, page) => carouselKeyframes('dot', page, layouts.length, { ...carousel, transition: 'fade' })),
+        '@media (prefers-reduced-motion: reduce) { .page, .dot { animation: none; } }',
+      ]
+      : []),
+  ].filter(Boolean);
+  const styles = rules.length ? `<style>
+      ${rules.join('\n      ')}
+    </style>` : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+  <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+    ${styles}
+    <defs>
+      <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+        <stop class="c-bg-start" offset="0%" stop-color="${bgStart}" />
+        <stop class="c-bg-end" offset="100%" stop-color="${bgEnd}" />
+      </linearGradient>
+      <pattern id="grid" width="40" height="40" patternUnits="userSpaceOnUse">
+        <path class="c-grid" d="M 40 0 L 0 0 0 40" fill="none" stroke="${grid}" stroke-width="0.6" />
+      </pattern>
+    </defs>
+    <rect width="100%" height="100%" fill="url(#bg)" />
+    <rect width="100%" height="100%" fill="url(#grid)" opacity="0.08" />
+    <text class="c-title" x="${header.x}" y="${header.titleY}" font-family="'Fraunces', Georgia" font-size="${header.titleSize}" fill="${textMain}">${escapeXml(title)}</text>
+    <text class="c-subtitle" x="${header.x}" y="${header.subtitleY}" font-family="'Space Grotesk', Arial" font-size="${header.subtitleSize}" fill="${textSub}">${escapeXml(subtitle)}</text>
+    ${dots}
+    ${cards || `<text class="c-subtitle" x="${header.x}" y="${header.subtitleY + 60}" font-family="'Space Grotesk', Arial" font-size="16" fill="${textSub}">No kudos yet. Maintainers can add the first.</text>`}
+  </svg>`;
+}
+
+// Shields-style two-part badge. Text is measured with the bundled font and
+// pinned with textLength, so fallback fonts cannot overflow the boxes.
+function buildBadgeSvg({ label, message, color, style = 'flat' }) {
+  const large = style === 'for-the-badge';
+  const labelText = large ? label.toUpperCase() : label;
+  const messageText = large ? message.toUpperCase() : message;
+  const height = large ? 28 : 20;
+  const fontSize = large ? 10 : 11;
+  const pad = large ? 12 : 6;
+  const spacing = large ? 1 : 0;
+  const textWidth = (text, weight) => Math.ceil(measureText(text, { size: fontSize, weight }) + spacing * text.length);
+  const labelWidth = textWidth(labelText, 400) + pad * 2;
+  const messageWidth = textWidth(messageText, large ? 700 : 400) + pad * 2;
+  const width = labelWidth + messageWidth;
+  const radius = style === 'flat' ? 3 : 0;
+  const baseline = large ? 18 : 14;
+  const text = (value, x, w, weight) => {
+    const shadow = style === 'flat'
+      ? `<text x="${x}" y="${baseline + 1}" fill="#010101" fill-opacity=".3" textLength="${w - pad * 2}" font-weight="${weight}">${escapeXml(value)}</text>`
+      : '';
+    return `${shadow}<text x="${x}" y="${baseline}" fill="#fff" textLength="${w - pad * 2}" font-weight="${weight}">${escapeXml(value)}</text>`;
+  };
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" role="img" aria-label="${escapeXml(`${label}: ${message}`)}">
+  <title>${escapeXml(`${label}: ${message}`)}</title>
+  ${style === 'flat' ? `<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>` : ''}
+  <clipPath id="r"><rect width="${width}" height="${height}" rx="${radius}" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="${height}" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="${height}" fill="${escapeXml(color)}"/>
+    ${style === 'flat' ? `<rect width="${width}" height="${height}" fill="url(#s)"/>` : ''}
+  </g>
+  <g text-anchor="middle" font-family="'Space Grotesk', Verdana, Geneva, sans-serif" font-size="${fontSize}" letter-spacing="${spacing}">
+    ${text(labelText, labelWidth / 2, labelWidth, 400)}
+    ${text(messageText, labelWidth + messageWidth / 2, messageWidth, large ? 700 : 400)}
+  </g>
+</svg>`;
+}
+
+app.get('/health', (req, res) => res.json({ ok: true }));
+
+app.get('/auth/github', ensureAuthConfig, async (req, res) => {
+  const returnTo = resolveReturnTo(req.query.return_to);
+  try {
+    const { nonce, state } = await createOAuthState(returnTo);
+    const url = `${GITHUB_WEB_URL}/login/oauth/authorize?client_id=${GITHUB_CLIENT_ID}&scope=${encodeURIComponent(GITHUB_OAUTH_SCOPE)}&redirect_uri=${encodeURIComponent(`${BACKEND_URL}/auth/github/callback`)}&state=${encodeURIComponent(state)}`;
+    console.log('[auth/github] redirecting to GitHub OAuth', {
+      frontend: returnTo.origin,
+      backend: BACKEND_URL,
+    });
+    res.set('Set-Cookie', oauthStateCookie(nonce, OAUTH_STATE_TTL_MS));
+    res.redirect(url);
+  } catch (err) {
+    console.error('[auth/github] failed', err?.message || err);
+    res.redirect(`${returnTo.origin}/auth/callback?error=${encodeURIComponent('Unable to start sign-in.')}`);
+  }
+});
+
+app.get('/auth/github/callback', ensureAuthConfig, async (req, res) => {
+  try {
+    const { code, state } = req.query;
+    console.log('[auth/github/callback] received', {
+      hasCode: Boolean(code),
+      codeLength: typeof code === 'string' ? code.length : null,
+      hasState: Boolean(state),
+      stateLength: typeof state === 'string' ? state.length : null,
+    });
+    res.append('Set-Cookie', oauthStateCookie('', 0));
+    const redirectUrl = await consumeOAuthState(state, readCookie(req, OAUTH_STATE_COOKIE));
+    if (!code) {
+      console.warn('[auth/github/callback] missing code');
+    }
+    const accessToken = await exchangeCode(code);
+    const profile = await githubRequest('/user', accessToken);
+
+    await usersCollection.updateOne(
+      { github_id: profile.id },
+      {
+        $set: {
+          login: profile.login,
+          avatar_url: profile.avatar_url,
+          name: profile.name || '',
+          github_token_enc: tokenCipher.encrypt(accessToken),
+        },
+        $unset: { github_token: '', github_token_revoked_at: '' },
+        $setOnInsert: { created_at: new Date() },
+      },
+      { upsert: true }
+    );
+
+    const user = await usersCollection.findOne({ github_id: profile.id });
+    const secret = await createSession(user, req);
+
+    res.append('Set-Cookie', sessionCookie(secret, SESSION_TTL_MS));
+    console.log('[auth/github/callback] redirecting to frontend', { redirect: redirectUrl.toString() });
+    res.redirect(redirectUrl.toString());
+  } catch (err) {
+    console.error('[auth/github/callback] failed', err?.message || err);
+    res.redirect(`${FRONTEND_URL}/auth/callback?error=${encodeURIComponent(err.message)}`);
+  }
+});
+
+app.post('/auth/logout', authMiddleware, requireSession, async (req, res) => {
+  await sessionsCollection.deleteOne({ _id: req.session._id });
+  res.set('Set-Cookie', sessionCookie('', 0));
+
+  let githubRevoked = false;
+  if (req.body?.revoke_github) {
+    const token = githubToken(req.user);
+    try {
+      if (token) await revokeGithubGrant(token);
+      githubRevoked = true;
+    } catch (err) {
+      console.warn('[auth/logout] unable to revoke GitHub grant', err?.message || err);
+    }
+    await forgetGithubToken(req.user);
+  }
+  res.json({ ok: true, github_revoked: githubRevoked });
+});
+
+app.get('/me', authMiddleware, (req, res) => {
+  res.json({
+    login: req.user.login,
+    github_id: req.user.github_id,
+    avatar_url: req.user.avatar_url,
+    name: req.user.name,
+    github_connected: Boolean(githubToken(req.user)),
+    csrf_token: req.session?.csrf_token || null,
+  });
+});
+
+app.get('/auth/sessions', authMiddleware, requireSession, async (req, res) => {
+  const sessions = await sessionsCollection
+    .find({ user_id: req.user._id, expires_at: { $gt: new Date() } })
+    .sort({ last_used_at: -1 })
+    .toArray();
+  res.json(sessions.map((session) => ({
+    id: session._id.toString(),
+    device: describeDevice(session.user_agent),
+    current: session._id.equals(req.session._id),
+    created_at: session.created_at,
+    last_used_at: session.last_used_at,
+  })));
+});
+
+app.delete('/auth/sessions/:id', authMiddleware, requireSession, async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Session not found.' });
+  const result = await sessionsCollection.deleteOne({ _id: new ObjectId(req.params.id), user_id: req.user._id });
+  if (!result.deletedCount) return res.status(404).json({ error: 'Session not found.' });
+  if (req.session._id.equals(new ObjectId(req.params.id))) res.set('Set-Cookie', sessionCookie('', 0));
+  res.json({ ok: true });
+});
+
+app.post('/auth/sessions/sign-out-others', authMiddleware, requireSession, async (req, res) => {
+  const result = await sessionsCollection.deleteMany({ user_id: req.user._id, _id: { $ne: req.session._id } });
+  res.json({ ok: true, signed_out: result.deletedCount });
+});
+
+app.get('/auth/tokens', authMiddleware, requireSession, async (req, res) => {
+  const tokens = await apiTokensCollection.find({ user_id: req.user._id }).sort({ created_at: -1 }).toArray();
+  res.json(tokens.map((token) => ({
+    id: token._id.toString(),
+    name: token.name,
+    prefix: token.prefix,
+    created_at: token.created_at,
+    last_used_at: token.last_used_at || null,
+  })));
+});
+
+// The raw token is only returned here; afterwards just its hash is kept.
+app.post('/auth/tokens', authMiddleware, requireSession, async (req, res) => {
+  const name = String(req.body?.name || '').trim().slice(0, 60);
+  if (!name) return res.status(400).json({ error: 'Give the token a name.' });
+  const count = await apiTokensCollection.countDocuments({ user_id: req.user._id });
+  if (count >= MAX_API_TOKENS) return res.status(400).json({ error: `Up to ${MAX_API_TOKENS} API tokens per account.` });
+
+  const token = `gw_${crypto.randomBytes(30).toString('base64url')}`;
+  const doc = {
+    user_id: req.user._id,
+    name,
+    prefix: token.slice(0, 10),
+    token_hash: hashSecret(token),
+    created_at: new Date(),
+    last_used_at: null,
+  };
+  const { insertedId } = await apiTokensCollection.insertOne(doc);
+  res.status(201).json({ id: insertedId.toString(), name, prefix: doc.prefix, created_at: doc.created_at, last_used_at: null, token });
+});
+
+app.delete('/auth/tokens/:id', authMiddleware, requireSession, async (req, res) => {
+  if (!ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Token not found.' });
+  const result = await apiTokensCollection.deleteOne({ _id: new ObjectId(req.params.id), user_id: req.user._id });
+  if (!result.deletedCount) return res.status(404).json({ error: 'Token not found.' });
+  res.json({ ok: true });
+});
+
+app.get('/github/repos', authMiddleware, async (req, res) => {
+  try {
+    const token = githubToken(req.user);
+    if (!token) return sendPermissionError(res, githubReconnectError());
+    const repos = await githubRequest('/user/repos?per_page=100&sort=updated', token);
+    const allowed = repos.filter((repo) => repo.permissions?.admin || repo.permissions?.maintain || repo.permissions?.push);
+    res.json(allowed.map((repo) => ({
+      owner: repo.owner?.login,
+      repo: repo.name,
       full_name: repo.full_name,
       private: repo.private,
       stars: repo.stargazers_count,
@@ -263,6 +1515,10 @@ app.get('/github/repos', authMiddleware, async (req, res) => {
       language: repo.language || '',
     })));
   } catch (err) {
+    if (err.status === 401) {
+      await forgetGithubToken(req.user);
+      return sendPermissionError(res, githubReconnectError());
+    }
     res.status(500).json({ error: err.message || 'Unable to load repos.' });
   }
 });
@@ -273,11 +1529,14 @@ app.post('/projects/from-github', authMiddleware, async (req, res) => {
 
   try {
     await ensureMaintainer(req.user, owner, repo);
-    const repoInfo = await githubRequest(`/repos/${owner}/${repo}`, req.user.github_token);
+    const token = await repoToken(req.user, owner, repo);
+    const repoInfo = await githubRequest(`/repos/${owner}/${repo}`, token);
+    const installationId = await githubApp.installationFor(repoInfo.owner.login, repoInfo.name);
 
     await projectsCollection.updateOne(
       { owner: repoInfo.owner.login, repo: repoInfo.name },
       {
+        $set: { github_installation_id: installationId },
         $setOnInsert: {
           owner: repoInfo.owner.login,
           repo: repoInfo.name,
@@ -296,6 +1555,9 @@ app.post('/projects/from-github', authMiddleware, async (req, res) => {
             cardSubtextColor: '#5d5a56',
           },
           featured_ids: [],
+          tags: DEFAULT_TAGS,
+          // Whoever creates the wall owns it, even with plain write access.
+          members: [memberEntry(req.user, 'owner', userRef(req.user), 'creator')],
         },
       },
       { upsert: true }
@@ -305,12 +1567,12 @@ app.post('/projects/from-github', authMiddleware, async (req, res) => {
     const existingCount = await kudosCollection.countDocuments({ project_id: project._id });
 
     if (existingCount === 0) {
-      const contributors = await githubRequest(`/repos/${owner}/${repo}/contributors?per_page=10`, req.user.github_token);
+      const contributors = await githubRequest(`/repos/${owner}/${repo}/contributors?per_page=10`, token);
       const seedDocs = contributors.slice(0, 10).map((contrib) => ({
         project_id: project._id,
         name: contrib.login,
         handle: `@${contrib.login}`,
-        tag: 'community',
+        tag: resolveTag(project, 'community'),
         message: `Top contributor with ${contrib.contributions} contributions. Thank you!`,
         avatar_url: contrib.avatar_url,
         boosts: 0,
@@ -330,252 +1592,1439 @@ app.post('/projects/from-github', authMiddleware, async (req, res) => {
       snapshot_url: snapshotUrl,
       settings: project.settings || null,
       featured_ids: project.featured_ids?.map((id) => id.toString()) || [],
+      tags: serializeTags(projectTags(project)),
     });
   } catch (err) {
-    res.status(500).json({ error: err.message || 'Unable to create project.' });
+    if (err.code === 'github_reconnect') return sendPermissionError(res, err);
+    res.status(500).json({ error: err.message || 'Unable to create project.' });
+  }
+});
+
+app.get('/projects/:owner/:repo', async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Not found' });
+  res.json({
+    id: project._id.toString(),
+    owner: project.owner,
+    repo: project.repo,
+    settings: project.settings || null,
+    featured_ids: project.featured_ids?.map((id) => id.toString()) || [],
+    curated_order: project.curated_order?.map((id) => id.toString()) || [],
+    tags: serializeTags(projectTags(project)),
+    snapshot_presets: serializePresets(project.snapshot_presets),
+    github_app: {
+      enabled: githubApp.enabled,
+      installed: Boolean(project.github_installation_id),
+      install_url: githubApp.installUrl,
+    },
+  });
+});
+
+// Re-checks which GitHub App installation (if any) covers the wall's repo, e.g.
+// right after a maintainer installs the app.
+app.post('/projects/:owner/:repo/github-app', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+  if (!githubApp.enabled) return res.status(400).json({ error: 'GitHub App mode is not configured.' });
+
+  // Refresh first so a just-installed app can vouch for the maintainer.
+  if (project.github_installation_id) githubApp.forget(project.github_installation_id);
+  let installationId;
+  try {
+    installationId = await githubApp.refreshInstallation(owner, repo);
+  } catch (err) {
+    console.error('[github-app] installation lookup failed', err?.message || err);
+    return res.status(502).json({ error: 'Unable to reach GitHub to check the installation.' });
+  }
+  permissionCache.delete(permissionKey(req.user, owner, repo));
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { github_installation_id: installationId } });
+  res.json({ enabled: true, installed: Boolean(installationId), install_url: githubApp.installUrl });
+});
+
+app.get('/projects/:owner/:repo/presets', async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+  res.json({ presets: serializePresets(project.snapshot_presets) });
+});
+
+app.put('/projects/:owner/:repo/presets/:slug', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const slug = slugifyTag(req.params.slug);
+  if (!slug) return res.status(400).json({ error: 'Preset name must contain letters or numbers.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const presets = project.snapshot_presets || [];
+  const exists = presets.some((preset) => preset.slug === slug);
+  if (!exists && presets.length >= MAX_SNAPSHOT_PRESETS) {
+    return res.status(400).json({ error: `A wall can keep up to ${MAX_SNAPSHOT_PRESETS} presets.` });
+  }
+
+  const preset = {
+    slug,
+    params: normalizePresetParams(req.body?.params),
+    updated_at: new Date(),
+    updated_by: userRef(req.user),
+  };
+  const next = exists
+    ? presets.map((entry) => (entry.slug === slug ? preset : entry))
+    : [...presets, preset];
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { snapshot_presets: next } });
+  res.status(exists ? 200 : 201).json({ preset: serializePresets([preset])[0], presets: serializePresets(next) });
+});
+
+app.delete('/projects/:owner/:repo/presets/:slug', authMiddleware, async (req, res) => {
+  const { owner, repo, slug } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const presets = project.snapshot_presets || [];
+  if (!presets.some((preset) => preset.slug === slug)) return res.status(404).json({ error: 'Preset not found.' });
+  const next = presets.filter((preset) => preset.slug !== slug);
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { snapshot_presets: next } });
+  res.json({ presets: serializePresets(next) });
+});
+
+// Re-slots a reordered subset into the saved order: the positions the subset
+// already held are refilled in its new order and newcomers follow the last of
+// them, so kudos that weren't on screen keep their place.
+function mergeCuratedOrder(current, moved) {
+  const movedSet = new Set(moved);
+  const queue = [...moved];
+  const merged = current.map((id) => (movedSet.has(id) ? queue.shift() : id));
+  const lastSlot = current.reduce((last, id, index) => (movedSet.has(id) ? index : last), merged.length - 1);
+  merged.splice(lastSlot + 1, 0, ...queue);
+  return merged;
+}
+
+async function saveArrangement(req, res, { merge }) {
+  const { owner, repo } = req.params;
+  const { ids } = req.body || {};
+  if (!Array.isArray(ids)) return res.status(400).json({ error: 'ids array required.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const moved = [...new Set(ids.map(String))].filter((id) => parseObjectId(id));
+  const combined = merge ? mergeCuratedOrder((project.curated_order || []).map(String), moved) : moved;
+  const requested = combined.slice(0, MAX_CURATED_IDS).map(parseObjectId);
+  const existing = await kudosCollection
+    .find({ _id: { $in: requested }, ...activeKudosFilter(project._id) }, { projection: { _id: 1 } })
+    .toArray();
+  const known = new Set(existing.map((row) => row._id.toString()));
+  const curatedOrder = requested.filter((id) => known.has(id.toString()));
+
+  await projectsCollection.updateOne(
+    { _id: project._id },
+    { $set: { curated_order: curatedOrder, curated_by: userRef(req.user), curated_at: new Date() } }
+  );
+  await touchSnapshot(project._id);
+  res.json({ curated_order: curatedOrder.map((id) => id.toString()) });
+}
+
+// PUT replaces the whole curated order; PATCH merges a reordered subset, which
+// is what the wall sends since it only ever has one filtered page loaded.
+app.put('/projects/:owner/:repo/arrangement', authMiddleware, (req, res) => saveArrangement(req, res, { merge: false }));
+app.patch('/projects/:owner/:repo/arrangement', authMiddleware, (req, res) => saveArrangement(req, res, { merge: true }));
+
+app.get('/projects/:owner/:repo/tags', async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  res.json({ tags: serializeTags(projectTags(project)), untracked: await untrackedTags(project) });
+});
+
+app.post('/projects/:owner/:repo/tags', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const tags = projectTags(project);
+  const tag = normalizeTagInput(req.body || {});
+  if (!tag.slug) return res.status(400).json({ error: 'label required.' });
+  if (tags.some((existing) => existing.slug === tag.slug)) {
+    return res.status(409).json({ error: `#${tag.slug} already exists.` });
+  }
+
+  const saved = await saveProjectTags(project, [...tags, tag]);
+  res.status(201).json({ tags: serializeTags(saved) });
+});
+
+app.put('/projects/:owner/:repo/tags/order', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const { slugs } = req.body || {};
+  if (!Array.isArray(slugs)) return res.status(400).json({ error: 'slugs array required.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const tags = projectTags(project);
+  const rank = new Map(slugs.map((slug, index) => [slug, index]));
+  const reordered = [...tags].sort((a, b) => (rank.get(a.slug) ?? Infinity) - (rank.get(b.slug) ?? Infinity) || a.order - b.order);
+  const saved = await saveProjectTags(project, reordered);
+  res.json({ tags: serializeTags(saved) });
+});
+
+app.patch('/projects/:owner/:repo/tags/:slug', authMiddleware, async (req, res) => {
+  const { owner, repo, slug } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const tags = projectTags(project);
+  const tracked = tags.find((tag) => tag.slug === slug);
+  // Renaming an untracked slug adds the result to the taxonomy.
+  if (!tracked && !(await untrackedTags(project, tags)).includes(slug)) {
+    return res.status(404).json({ error: 'Tag not found.' });
+  }
+  const next = normalizeTagInput(req.body || {}, tracked || { slug, order: tags.length });
+  if (!next.slug) return res.status(400).json({ error: 'slug cannot be empty.' });
+  if (next.slug !== slug && tags.some((tag) => tag.slug === next.slug)) {
+    return res.status(409).json({ error: `#${next.slug} already exists. Merge the tags instead.` });
+  }
+
+  const saved = await saveProjectTags(project, tracked ? tags.map((tag) => (tag.slug === slug ? next : tag)) : [...tags, next]);
+  const rewritten = next.slug !== slug ? await retagKudos(project, req.user, slug, next.slug) : 0;
+  res.json({ tags: serializeTags(saved), untracked: await untrackedTags(project, saved), rewritten });
+});
+
+app.post('/projects/:owner/:repo/tags/:slug/merge', authMiddleware, async (req, res) => {
+  const { owner, repo, slug } = req.params;
+  const { into } = req.body || {};
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const tags = projectTags(project);
+  const tracked = tags.some((tag) => tag.slug === slug);
+  if (!tracked && !(await untrackedTags(project, tags)).includes(slug)) {
+    return res.status(404).json({ error: 'Tag not found.' });
+  }
+  if (!into || into === slug || !tags.some((tag) => tag.slug === into)) {
+    return res.status(400).json({ error: 'into must be another existing tag.' });
+  }
+
+  const rewritten = await retagKudos(project, req.user, slug, into);
+  const saved = tracked ? await saveProjectTags(project, tags.filter((tag) => tag.slug !== slug)) : tags;
+  res.json({ tags: serializeTags(saved), untracked: await untrackedTags(project, saved), rewritten });
+});
+
+app.delete('/projects/:owner/:repo/tags/:slug', authMiddleware, async (req, res) => {
+  const { owner, repo, slug } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const tags = projectTags(project);
+  if (!tags.some((tag) => tag.slug === slug)) return res.status(404).json({ error: 'Tag not found.' });
+  if (tags.length === 1) return res.status(400).json({ error: 'A wall needs at least one tag.' });
+  const inUse = await kudosCollection.countDocuments({ project_id: project._id, tag: slug, deleted_at: null });
+  if (inUse) {
+    return res.status(409).json({ error: `#${slug} is used by ${inUse} kudos. Merge it into another tag instead.` });
+  }
+
+  const saved = await saveProjectTags(project, tags.filter((tag) => tag.slug !== slug));
+  res.json({ tags: serializeTags(saved) });
+});
+
+app.get('/projects/:owner/:repo/viewer', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+  try {
+    const role = await wallRole(req.user, project);
+    res.json({ login: req.user.login, role, maintainer: hasRole(role, 'editor') });
+  } catch (err) {
+    res.json({ login: req.user.login, role: null, maintainer: false, reconnect: err.code === 'github_reconnect' });
+  }
+});
+
+function memberEntry(account, role, addedBy, via) {
+  return { github_id: account.github_id, login: account.login, role, added_by: addedBy, added_at: new Date(), via };
+}
+
+function withMember(members, entry) {
+  return [...members.filter((member) => member.github_id !== entry.github_id), entry];
+}
+
+function pendingInvites(project) {
+  const now = Date.now();
+  return (Array.isArray(project.invites) ? project.invites : []).filter((invite) => invite.expires_at.getTime() > now);
+}
+
+function serializeMember({ github_id, login, role, added_by, added_at, via }) {
+  return { id: String(github_id), login, role, added_by: added_by?.login || null, added_at, via };
+}
+
+function serializeInvite({ _id, role, login, created_by, created_at, expires_at }) {
+  return { id: _id.toString(), role, login: login || null, created_by: created_by?.login || null, created_at, expires_at };
+}
+
+function inviteUrl(project, token) {
+  return `${FRONTEND_URL}/p/${project.owner}/${project.repo}?invite=${encodeURIComponent(token)}`;
+}
+
+// Looks up the account currently holding a login, or null if there is none.
+async function resolveGithubAccount(user, project, login) {
+  const token = await repoToken(user, project.owner, project.repo);
+  if (!token) throw githubReconnectError();
+  try {
+    const profile = await githubRequest(`/users/${login}`, token);
+    return { github_id: profile.id, login: profile.login };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+function sendLookupError(res, err, login) {
+  if (err.code === 'github_reconnect') return sendPermissionError(res, err);
+  return res.status(502).json({ error: `Unable to look up @${login} on GitHub.` });
+}
+
+app.get('/projects/:owner/:repo/members', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  res.json({
+    members: projectMembers(project).map(serializeMember),
+    invites: pendingInvites(project).map(serializeInvite),
+    github_defaults: GITHUB_ROLE_DEFAULTS,
+  });
+});
+
+// Pins a role for a GitHub account, overriding whatever their repo permission
+// would map to (repo admins always stay owners).
+app.post('/projects/:owner/:repo/members', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const { role } = req.body || {};
+  const login = typeof req.body?.login === 'string' ? req.body.login.trim().replace(/^@/, '') : '';
+  if (!GITHUB_LOGIN_PATTERN.test(login)) return res.status(400).json({ error: 'Invalid GitHub login.' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}.` });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  let account;
+  try {
+    account = await resolveGithubAccount(req.user, project, login);
+  } catch (err) {
+    return sendLookupError(res, err, login);
+  }
+  if (!account) return res.status(404).json({ error: `GitHub has no user @${login}.` });
+  if (account.github_id === req.user.github_id) return res.status(400).json({ error: 'You cannot change your own role.' });
+
+  const existing = findMember(project, account.github_id);
+  if (!existing && projectMembers(project).length >= MAX_WALL_MEMBERS) {
+    return res.status(400).json({ error: `Up to ${MAX_WALL_MEMBERS} members per wall.` });
+  }
+  const entry = existing ? { ...existing, login: account.login, role } : memberEntry(account, role, userRef(req.user), 'manual');
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { members: withMember(projectMembers(project), entry) } });
+  res.json(serializeMember(entry));
+});
+
+app.patch('/projects/:owner/:repo/members/:githubId', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const githubId = Number(req.params.githubId);
+  const { role } = req.body || {};
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}.` });
+  if (githubId === req.user.github_id) return res.status(400).json({ error: 'You cannot change your own role.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const existing = findMember(project, githubId);
+  if (!existing) return res.status(404).json({ error: 'Member not found.' });
+  const entry = { ...existing, role };
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { members: withMember(projectMembers(project), entry) } });
+  res.json(serializeMember(entry));
+});
+
+// Removing an explicit member drops them back to their GitHub default, if any.
+app.delete('/projects/:owner/:repo/members/:githubId', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const githubId = Number(req.params.githubId);
+  if (githubId === req.user.github_id) return res.status(400).json({ error: 'You cannot remove yourself.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  if (!findMember(project, githubId)) return res.status(404).json({ error: 'Member not found.' });
+  const members = projectMembers(project).filter((member) => member.github_id !== githubId);
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { members } });
+  res.json({ ok: true });
+});
+
+// Invites let people without repo access (community managers, docs leads)
+// join a wall. The link is returned once; only its hash is stored. An invite
+// for a login is bound to the account holding it now, not to the name.
+app.post('/projects/:owner/:repo/invites', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const { role } = req.body || {};
+  const login = typeof req.body?.login === 'string' ? req.body.login.trim().replace(/^@/, '') : '';
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}.` });
+  if (login && !GITHUB_LOGIN_PATTERN.test(login)) return res.status(400).json({ error: 'Invalid GitHub login.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const invites = pendingInvites(project);
+  if (invites.length >= MAX_PENDING_INVITES) {
+    return res.status(400).json({ error: `Up to ${MAX_PENDING_INVITES} pending invites per wall.` });
+  }
+  let account = null;
+  if (login) {
+    try {
+      account = await resolveGithubAccount(req.user, project, login);
+    } catch (err) {
+      return sendLookupError(res, err, login);
+    }
+    if (!account) return res.status(404).json({ error: `GitHub has no user @${login}.` });
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const invite = {
+    _id: new ObjectId(),
+    token_hash: hashSecret(token),
+    role,
+    login: account?.login || '',
+    github_id: account?.github_id ?? null,
+    created_by: userRef(req.user),
+    created_at: new Date(),
+    expires_at: new Date(Date.now() + INVITE_TTL_MS),
+  };
+  // Expired invites are dropped whenever a new one is written.
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { invites: [...invites, invite] } });
+  res.status(201).json({ ...serializeInvite(invite), url: inviteUrl(project, token) });
+});
+
+app.delete('/projects/:owner/:repo/invites/:id', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const inviteId = parseObjectId(id);
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  if (!inviteId) return res.status(404).json({ error: 'Invite not found.' });
+  const result = await projectsCollection.updateOne({ _id: project._id }, { $pull: { invites: { _id: inviteId } } });
+  if (!result.modifiedCount) return res.status(404).json({ error: 'Invite not found.' });
+  res.json({ ok: true });
+});
+
+app.post('/projects/:owner/:repo/invites/accept', authMiddleware, requireSession, async (req, res) => {
+  const { owner, repo } = req.params;
+  const token = String(req.body?.token || '');
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  const tokenHash = hashSecret(token);
+  const invite = pendingInvites(project).find((entry) => entry.token_hash === tokenHash);
+  if (!token || !invite) return res.status(404).json({ error: 'This invite is invalid or has expired.' });
+  if (invite.github_id && invite.github_id !== req.user.github_id) {
+    return res.status(403).json({ error: `This invite is for @${invite.login}.` });
+  }
+
+  // Compare with the effective role, GitHub mapping included, so an invite
+  // never demotes a collaborator. Such invites stay open for someone else.
+  let current = null;
+  try {
+    current = await wallRole(req.user, project);
+  } catch {
+    // No usable GitHub access: the invite is all they have.
+  }
+  if (hasRole(current, invite.role)) return res.json({ role: current, unchanged: true });
+
+  // Pulling the invite in the same filter that matched it keeps it single-use.
+  const claimed = await projectsCollection.findOneAndUpdate(
+    { _id: project._id, 'invites.token_hash': tokenHash },
+    { $pull: { invites: { token_hash: tokenHash } } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) return res.status(404).json({ error: 'This invite is invalid or has expired.' });
+
+  const entry = memberEntry(req.user, invite.role, invite.created_by, 'invite');
+  await projectsCollection.updateOne({ _id: project._id }, { $set: { members: withMember(projectMembers(claimed), entry) } });
+  res.json({ role: invite.role });
+});
+
+app.patch('/projects/:owner/:repo/settings', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const { theme, accent, layout, background, title, subtitle, titleColor, subtitleColor, cardTextColor, cardSubtextColor } = req.body || {};
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const nextSettings = {
+    theme: theme || project.settings?.theme || 'warm',
+    accent: accent || project.settings?.accent || '#ff6a3d',
+    layout: layout || project.settings?.layout || 'masonry',
+    background: background || project.settings?.background || 'sunset',
+    title: (typeof title === 'string' && title ? title : project.settings?.title || 'PR Gratitude Wall').slice(0, SNAPSHOT_TEXT_LIMIT),
+    subtitle: (typeof subtitle === 'string' && subtitle ? subtitle : project.settings?.subtitle || `${owner}/${repo}`).slice(0, SNAPSHOT_TEXT_LIMIT),
+    titleColor: titleColor || project.settings?.titleColor || '#161515',
+    subtitleColor: subtitleColor || project.settings?.subtitleColor || '#5d5a56',
+    cardTextColor: cardTextColor || project.settings?.cardTextColor || '#161515',
+    cardSubtextColor: cardSubtextColor || project.settings?.cardSubtextColor || '#5d5a56',
+  };
+
+  await projectsCollection.updateOne(
+    { _id: project._id },
+    { $set: { settings: nextSettings } }
+  );
+  await touchSnapshot(project._id);
+
+  res.json({ settings: nextSettings });
+});
+
+app.post('/projects/:owner/:repo/featured', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const kudosId = parseObjectId(req.body?.kudosId);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const kudos = await kudosCollection.findOne({ _id: kudosId, ...activeKudosFilter(project._id) }, { projection: { _id: 1 } });
+  if (!kudos) return res.status(404).json({ error: 'Not found' });
+
+  await projectsCollection.updateOne(
+    { _id: project._id },
+    { $addToSet: { featured_ids: kudosId } }
+  );
+  await touchSnapshot(project._id);
+
+  const updated = await projectsCollection.findOne({ _id: project._id });
+  res.json({ featured_ids: updated.featured_ids?.map((id) => id.toString()) || [] });
+});
+
+app.delete('/projects/:owner/:repo/featured/:id', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  await projectsCollection.updateOne(
+    { _id: project._id },
+    { $pull: { featured_ids: kudosId } }
+  );
+  await touchSnapshot(project._id);
+
+  const updated = await projectsCollection.findOne({ _id: project._id });
+  res.json({ featured_ids: updated.featured_ids?.map((id) => id.toString()) || [] });
+});
+
+app.get('/projects/:owner/:repo/kudos', optionalAuth, async (req, res) => {
+  const { owner, repo } = req.params;
+  const { tag, cursor } = req.query;
+  const query = typeof req.query.query === 'string' ? req.query.query.trim().slice(0, 100) : '';
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 24, 1), 100);
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.json({ items: [], total: 0, next_cursor: null });
+
+  let decoded = null;
+  if (cursor) {
+    decoded = decodeCursor(cursor);
+    if (!decoded) return res.status(400).json({ error: 'Invalid cursor.' });
+  }
+
+  const filter = activeKudosFilter(project._id);
+  if (tag) filter.tag = tag;
+
+  // Full-text search first; when it finds nothing (partial words, stop words)
+  // fall back to a case-insensitive literal match. The cursor pins the mode so
+  // later pages keep using whichever one the first page picked.
+  let mode = null;
+  let total;
+  if (query) {
+    mode = decoded?.mode || 'text';
+    if (mode === 'text') {
+      total = await kudosCollection.countDocuments({ ...filter, $text: { $search: query } });
+      if (total === 0 && !decoded) mode = 'literal';
+    }
+    Object.assign(filter, mode === 'text' ? { $text: { $search: query } } : literalSearchFilter(query));
+  }
+  if (total === undefined) total = await kudosCollection.countDocuments(filter);
+
+  const requestedSort = ['top', 'relevance', 'curated'].includes(req.query.sort) ? req.query.sort : 'recent';
+  const sort = requestedSort === 'relevance' && mode !== 'text' ? 'recent' : requestedSort;
+  const afterCursor = decoded ? { $and: [cursorFilter(decoded, sort)] } : {};
+
+  const computedKey = {
+    relevance: { $addFields: { score: { $meta: 'textScore' } } },
+    curated: curatedRankStage(project),
+  }[sort];
+  const rows = computedKey
+    ? await kudosCollection.aggregate([
+      { $match: filter },
+      computedKey,
+      { $match: afterCursor },
+      { $sort: KUDOS_SORTS[sort] },
+      { $limit: limit + 1 },
+    ]).toArray()
+    : await kudosCollection
+      .find({ ...filter, ...afterCursor })
+      .sort(KUDOS_SORTS[sort])
+      .limit(limit + 1)
+      .toArray();
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  const cheeredIds = await findCheeredIds(req, items);
+  res.json({
+    items: items.map((row) => serializeKudos(row, cheeredIds)),
+    total,
+    sort,
+    search_mode: mode,
+    next_cursor: hasMore ? encodeCursor(items[items.length - 1], sort, mode) : null,
+  });
+});
+
+// Rendered snapshots are kept in memory, keyed by project, the project's
+// snapshot revision and a hash of everything else that shapes the image.
+// Mutations call touchSnapshot, which bumps the revision so old keys go cold.
+function snapshotCacheKey(project, variant) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(variant)).digest('hex');
+  return `${project._id}:${project.snapshot_revision || 0}:${hash}`;
+}
+
+function readSnapshotRender(key) {
+  const render = snapshotRenders.get(key);
+  if (!render) return null;
+  if (Date.now() - render.cachedAt > SNAPSHOT_RENDER_TTL_MS) {
+    snapshotRenders.delete(key);
+    return null;
+  }
+  // Re-insert so the Map's iteration order tracks recency.
+  snapshotRenders.delete(key);
+  snapshotRenders.set(key, render);
+  return render;
+}
+
+function writeSnapshotRender(key, { body, contentType, lastModified }) {
+  const render = {
+    body,
+    contentType,
+    lastModified,
+    etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+    cachedAt: Date.now(),
+  };
+  snapshotRenders.set(key, render);
+  while (snapshotRenders.size > MAX_SNAPSHOT_RENDERS) {
+    snapshotRenders.delete(snapshotRenders.keys().next().value);
+  }
+  return render;
+}
+
+async function touchSnapshot(projectId) {
+  await projectsCollection.updateOne(
+    { _id: projectId },
+    { $inc: { snapshot_revision: 1 }, $set: { snapshot_updated_at: new Date() } }
+  );
+  const prefix = `${projectId}:`;
+  for (const key of snapshotRenders.keys()) {
+    if (key.startsWith(prefix)) snapshotRenders.delete(key);
+  }
+}
+
+async function loadSnapshotRows(project, sort, limit = 10) {
+  let featuredRows = [];
+  if (project.featured_ids?.length) {
+    featuredRows = await kudosCollection
+      .find({ _id: { $in: project.featured_ids }, ...activeKudosFilter(project._id) })
+      .toArray();
+  }
+  const remainingFilter = { ...activeKudosFilter(project._id), _id: { $nin: project.featured_ids || [] } };
+  const snapshotSort = sort || (project.curated_order?.length ? 'curated' : 'top');
+  const remainingRows = snapshotSort === 'curated'
+    ? await kudosCollection.aggregate([
+      { $match: remainingFilter },
+      curatedRankStage(project),
+      { $sort: KUDOS_SORTS.curated },
+      { $limit: limit },
+    ]).toArray()
+    : await kudosCollection
+      .find(remainingFilter)
+      .sort({ boosts: -1, created_at: -1 })
+      .limit(limit)
+      .toArray();
+  return [...featuredRows, ...remainingRows].slice(0, limit);
+}
+
+// Presets store the same parameters the snapshot URL accepts, so a README can
+// reference `?preset=readme-dark` and follow later edits to that preset.
+function normalizePresetParams(params = {}) {
+  return Object.fromEntries(SNAPSHOT_PRESET_FIELDS
+    .filter((field) => params[field] !== undefined && params[field] !== null && params[field] !== '')
+    .map((field) => [field, String(params[field]).slice(0, 200)]));
+}
+
+function serializePresets(presets = []) {
+  return presets.map(({ slug, params, updated_at }) => ({ slug, params, updated_at }));
+}
+
+function snapshotSettings(project, query) {
+  const override = {
+    theme: query.theme,
+    accent: query.accent,
+    background: query.background,
+    layout: query.layout,
+    title: query.title,
+    subtitle: query.subtitle,
+    titleColor: query.titleColor,
+    subtitleColor: query.subtitleColor,
+    cardTextColor: query.cardTextColor,
+    cardSubtextColor: query.cardSubtextColor,
+  };
+  const given = Object.entries(override).filter(([, value]) => typeof value === 'string' && value);
+  const settings = { ...(project.settings || {}), ...Object.fromEntries(given) };
+  for (const field of ['title', 'subtitle']) {
+    if (typeof settings[field] === 'string') settings[field] = settings[field].slice(0, SNAPSHOT_TEXT_LIMIT);
+  }
+  return settings;
+}
+
+app.get('/projects/:owner/:repo/snapshot.:format(svg|png|webp)', async (req, res) => {
+  const { owner, repo, format } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).send('Not found');
+
+  let query = req.query;
+  if (req.query.preset) {
+    const preset = (project.snapshot_presets || []).find((entry) => entry.slug === req.query.preset);
+    if (!preset) return res.status(404).send('Unknown preset.');
+    // Explicit parameters (scale, a one-off width, ...) still win over the preset.
+    const { preset: _name, ...overrides } = req.query;
+    query = { ...preset.params, ...overrides };
+  }
+
+  const raster = format !== 'svg';
+  const scale = Number(query.scale) || 1;
+  if (raster && !RASTER_SCALES.includes(scale)) {
+    return res.status(400).send(`scale must be one of ${RASTER_SCALES.join(', ')}`);
+  }
+
+  const size = clampSnapshotSize(query);
+  const settings = snapshotSettings(project, query);
+  const tagColors = Object.fromEntries(projectTags(project).map((tag) => [tag.slug, tag.color]));
+  // Rasters cannot animate, so they always show the first page.
+  const carousel = raster ? null : clampCarousel(query);
+  const key = snapshotCacheKey(project, { format, scale: raster ? scale : 1, sort: query.sort || '', size, settings, tagColors, carousel });
+
+  let render = readSnapshotRender(key);
+  if (!render) {
+    const rows = await loadSnapshotRows(project, query.sort, size.count);
+    const svg = buildSnapshotSvg({
+      owner,
+      repo,
+      kudos: rows,
+      settings,
+      size,
+      tagColors,
+      avatars: await avatarCache.inline(rows.map((row) => row.avatar_url)),
+      carousel,
+    });
+
+    let body = svg;
+    if (raster) {
+      try {
+        body = await renderRaster(svg, { format, scale });
+      } catch (err) {
+        console.error('[snapshot] raster render failed', err?.message || err);
+        return res.status(500).send('Unable to render snapshot.');
+      }
+    }
+    render = writeSnapshotRender(key, {
+      body,
+      contentType: raster ? RASTER_FORMATS[format] : 'image/svg+xml',
+      lastModified: project.snapshot_updated_at || project.created_at || new Date(),
+    });
+  }
+
+  res.set({
+    'Content-Type': render.contentType,
+    'Cache-Control': SNAPSHOT_CACHE_CONTROL,
+    ETag: render.etag,
+    'Last-Modified': new Date(render.lastModified).toUTCString(),
+  });
+  if (req.fresh) return res.status(304).end();
+  res.send(render.body);
+});
+
+app.post('/projects/:owner/:repo/kudos', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const inputError = kudosInputError(req.body || {});
+  if (inputError) return res.status(400).json({ error: inputError });
+
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const doc = {
+    ...buildKudosDoc(project, req.body),
+    status: 'published',
+    approved_by: userRef(req.user),
+  };
+  if (!hasTag(project, doc.tag)) return res.status(400).json({ error: `Unknown tag #${doc.tag}.` });
+  if (doc.pr) {
+    if ((await findThankedPullNumbers(project._id, [doc.pr.number])).size) {
+      return res.status(409).json({ error: `PR #${doc.pr.number} has already been thanked.` });
+    }
+    // The link always points at this repo, whatever URL the client sent.
+    doc.pr.url = `${GITHUB_WEB_URL}/${project.owner}/${project.repo}/pull/${doc.pr.number}`;
+  }
+
+  const referenceInputs = Array.isArray(req.body.references) ? [...req.body.references] : [];
+  if (doc.pr?.url) referenceInputs.unshift(doc.pr.url);
+  doc.references = await resolveReferences(referenceInputs, {
+    owner,
+    repo,
+    token: githubToken(req.user),
+    // References are best-effort, so an App API outage falls back to the user's token.
+    repoToken: await repoToken(req.user, owner, repo).catch((err) => {
+      console.error('[github-app] installation token failed', err?.message || err);
+      return githubToken(req.user);
+    }),
+  });
+
+  const result = await kudosCollection.insertOne(doc);
+  await touchSnapshot(project._id);
+  res.status(201).json(serializeKudos({ ...doc, _id: result.insertedId }));
+});
+
+// Pages through closed PRs by last update until they predate `since`; a PR
+// merged in range can't have been updated before its merge.
+async function fetchMergedPulls(owner, repo, token, since, until) {
+  const merged = [];
+  for (let page = 1; page <= MAX_PULL_PAGES; page += 1) {
+    const pulls = await githubRequest(
+      `/repos/${owner}/${repo}/pulls?state=closed&sort=updated&direction=desc&per_page=100&page=${page}`,
+      token
+    );
+    merged.push(...pulls.filter((pull) => {
+      if (!pull.merged_at) return false;
+      const mergedAt = new Date(pull.merged_at);
+      return mergedAt >= since && mergedAt <= until;
+    }));
+    const last = pulls[pulls.length - 1];
+    if (pulls.length < 100 || new Date(last.updated_at) < since) return { merged, truncated: false };
+  }
+  return { merged, truncated: true };
+}
+
+// Display names for PR authors. Cached for a day; at most MAX_PROFILE_LOOKUPS
+// uncached logins are fetched per call and the rest fall back to the login.
+async function githubDisplayNames(logins, token) {
+  const names = new Map();
+  const missing = [];
+  for (const login of logins) {
+    const cached = profileCache.get(login.toLowerCase());
+    if (cached && cached.expiresAt > Date.now()) names.set(login, cached.name);
+    else missing.push(login);
+  }
+  await Promise.all(missing.slice(0, MAX_PROFILE_LOOKUPS).map(async (login) => {
+    try {
+      const profile = await githubRequest(`/users/${login}`, token);
+      const name = profile.name || login;
+      if (profileCache.size >= MAX_PROFILE_CACHE_ENTRIES) profileCache.delete(profileCache.keys().next().value);
+      profileCache.set(login.toLowerCase(), { name, expiresAt: Date.now() + PROFILE_CACHE_TTL_MS });
+      names.set(login, name);
+    } catch {
+      // fall back to the login
+    }
+  }));
+  return names;
+}
+
+app.get('/projects/:owner/:repo/pulls/merged', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const until = req.query.until ? new Date(`${req.query.until}T23:59:59.999Z`) : new Date();
+  if (Number.isNaN(since.getTime()) || Number.isNaN(until.getTime())) {
+    return res.status(400).json({ error: 'since and until must be dates (YYYY-MM-DD).' });
+  }
+  const unthankedOnly = req.query.unthanked === '1' || req.query.unthanked === 'true';
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'editor');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  try {
+    const token = await repoToken(req.user, owner, repo);
+    const { merged, truncated } = await fetchMergedPulls(owner, repo, token, since, until);
+    const thanked = await findThankedPullNumbers(project._id, merged.map((pull) => pull.number));
+    const visible = merged.filter((pull) => !unthankedOnly || !thanked.has(pull.number));
+
+    const names = await githubDisplayNames([...new Set(visible.map((pull) => pull.user?.login).filter(Boolean))], token);
+
+    const pulls = visible.map((pull) => {
+      const login = pull.user?.login || '';
+      return {
+        number: pull.number,
+        title: pull.title,
+        url: pull.html_url,
+        merged_at: pull.merged_at,
+        labels: (pull.labels || []).map((label) => label.name),
+        author: {
+          login,
+          name: names.get(login) || login,
+          avatar_url: pull.user?.avatar_url || '',
+        },
+        tag: resolveTag(project, inferTagFromPull(pull)),
+        thanked: thanked.has(pull.number),
+      };
+    }).sort((a, b) => new Date(b.merged_at) - new Date(a.merged_at));
+    res.json({ pulls, truncated });
+  } catch (err) {
+    res.status(500).json({ error: err.message || 'Unable to load pull requests.' });
   }
 });
 
-app.get('/projects/:owner/:repo', async (req, res) => {
+app.post('/projects/:owner/:repo/nominations', authMiddleware, nominationLimiter, async (req, res) => {
   const { owner, repo } = req.params;
+  const inputError = kudosInputError(req.body || {});
+  if (inputError) return res.status(400).json({ error: inputError });
+
   const project = await projectsCollection.findOne({ owner, repo });
-  if (!project) return res.status(404).json({ error: 'Not found' });
-  res.json({
-    id: project._id.toString(),
-    owner: project.owner,
-    repo: project.repo,
-    settings: project.settings || null,
-    featured_ids: project.featured_ids?.map((id) => id.toString()) || [],
-  });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  // Only editors and the webhook may link a kudos to a PR; otherwise anyone
+  // could mark PRs as thanked and hide them from the drafts list.
+  const doc = {
+    ...buildKudosDoc(project, { ...req.body, pr: null }),
+    status: 'pending',
+    nominated_by: userRef(req.user),
+  };
+  if (!hasTag(project, doc.tag)) return res.status(400).json({ error: `Unknown tag #${doc.tag}.` });
+
+  const referenceInputs = Array.isArray(req.body.references) ? [...req.body.references] : [];
+  doc.references = await resolveReferences(referenceInputs, { owner, repo, token: githubToken(req.user) });
+
+  const result = await kudosCollection.insertOne(doc);
+  res.status(201).json(serializeKudos({ ...doc, _id: result.insertedId }));
 });
 
-app.patch('/projects/:owner/:repo/settings', authMiddleware, async (req, res) => {
+app.get('/projects/:owner/:repo/nominations', authMiddleware, async (req, res) => {
   const { owner, repo } = req.params;
-  const { theme, accent, layout, background, title, subtitle, titleColor, subtitleColor, cardTextColor, cardSubtextColor } = req.body || {};
   const project = await projectsCollection.findOne({ owner, repo });
   if (!project) return res.status(404).json({ error: 'Project not found.' });
 
   try {
-    await ensureMaintainer(req.user, owner, repo);
+    await ensureRole(req.user, project, 'moderator');
   } catch (err) {
-    return res.status(403).json({ error: err.message });
+    return sendPermissionError(res, err);
   }
 
-  const nextSettings = {
-    theme: theme || project.settings?.theme || 'warm',
-    accent: accent || project.settings?.accent || '#ff6a3d',
-    layout: layout || project.settings?.layout || 'masonry',
-    background: background || project.settings?.background || 'sunset',
-    title: title || project.settings?.title || 'PR Gratitude Wall',
-    subtitle: subtitle || project.settings?.subtitle || `${owner}/${repo}`,
-    titleColor: titleColor || project.settings?.titleColor || '#161515',
-    subtitleColor: subtitleColor || project.settings?.subtitleColor || '#5d5a56',
-    cardTextColor: cardTextColor || project.settings?.cardTextColor || '#161515',
-    cardSubtextColor: cardSubtextColor || project.settings?.cardSubtextColor || '#5d5a56',
-  };
+  const rows = await kudosCollection
+    .find({ project_id: project._id, deleted_at: null, status: 'pending' })
+    .sort({ created_at: 1 })
+    .toArray();
 
-  await projectsCollection.updateOne(
-    { _id: project._id },
-    { $set: { settings: nextSettings } }
+  res.json(rows.map(serializeKudos));
+});
+
+app.post('/projects/:owner/:repo/nominations/:id/approve', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'moderator');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const filter = { _id: kudosId, project_id: project._id, deleted_at: null, status: 'pending' };
+  const current = await kudosCollection.findOne(filter);
+  if (!current) return res.status(404).json({ error: 'Not found' });
+  if (current.pr && (await findThankedPullNumbers(project._id, [current.pr.number])).size) {
+    return res.status(409).json({ error: `PR #${current.pr.number} has already been thanked. Reject this draft instead.` });
+  }
+
+  const inputError = kudosFieldTypeError(req.body || {}, { allowNull: true });
+  if (inputError) return res.status(400).json({ error: inputError });
+  const diff = diffKudos(current, req.body || {});
+  if (diff.name?.to === '' || diff.message?.to === '') {
+    return res.status(400).json({ error: 'name and message required.' });
+  }
+  if (diff.tag && !hasTag(project, diff.tag.to)) {
+    return res.status(400).json({ error: `Unknown tag #${diff.tag.to}.` });
+  }
+
+  const now = new Date();
+  const updates = Object.fromEntries(Object.entries(diff).map(([field, change]) => [field, change.to]));
+  const updated = await kudosCollection.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        ...updates,
+        status: 'published',
+        approved_by: userRef(req.user),
+        approved_at: now,
+        nominated_at: current.created_at,
+        created_at: now,
+      },
+    },
+    { returnDocument: 'after' }
   );
+  if (!updated) return res.status(409).json({ error: 'Nomination was already moderated.' });
+  await touchSnapshot(project._id);
 
-  res.json({ settings: nextSettings });
+  if (Object.keys(diff).length) {
+    await recordRevision({ kudosId, projectId: project._id, user: req.user, action: 'edit', diff, at: now });
+  }
+  await recordRevision({ kudosId, projectId: project._id, user: req.user, action: 'approve', at: now });
+
+  res.json(serializeKudos(updated));
 });
 
-app.post('/projects/:owner/:repo/featured', authMiddleware, async (req, res) => {
-  const { owner, repo } = req.params;
-  const { kudosId } = req.body || {};
-  if (!kudosId) return res.status(400).json({ error: 'kudosId required.' });
+app.post('/projects/:owner/:repo/nominations/:id/reject', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
   const project = await projectsCollection.findOne({ owner, repo });
   if (!project) return res.status(404).json({ error: 'Project not found.' });
 
   try {
-    await ensureMaintainer(req.user, owner, repo);
+    await ensureRole(req.user, project, 'moderator');
   } catch (err) {
-    return res.status(403).json({ error: err.message });
+    return sendPermissionError(res, err);
   }
 
-  await projectsCollection.updateOne(
-    { _id: project._id },
-    { $addToSet: { featured_ids: new ObjectId(kudosId) } }
+  const now = new Date();
+  const result = await kudosCollection.updateOne(
+    { _id: kudosId, project_id: project._id, deleted_at: null, status: 'pending' },
+    { $set: { status: 'rejected', rejected_by: userRef(req.user), rejected_at: now } }
   );
+  if (!result.matchedCount) return res.status(404).json({ error: 'Not found' });
 
-  const updated = await projectsCollection.findOne({ _id: project._id });
-  res.json({ featured_ids: updated.featured_ids?.map((id) => id.toString()) || [] });
+  await recordRevision({ kudosId, projectId: project._id, user: req.user, action: 'reject', at: now });
+  res.json({ id, status: 'rejected' });
 });
 
-app.delete('/projects/:owner/:repo/featured/:kudosId', authMiddleware, async (req, res) => {
-  const { owner, repo, kudosId } = req.params;
+app.patch('/projects/:owner/:repo/kudos/:id', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
   const project = await projectsCollection.findOne({ owner, repo });
   if (!project) return res.status(404).json({ error: 'Project not found.' });
 
   try {
-    await ensureMaintainer(req.user, owner, repo);
+    await ensureRole(req.user, project, 'moderator');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const current = await kudosCollection.findOne({ _id: kudosId, ...activeKudosFilter(project._id) });
+  if (!current) return res.status(404).json({ error: 'Not found' });
+
+  const inputError = kudosFieldTypeError(req.body || {}, { allowNull: true });
+  if (inputError) return res.status(400).json({ error: inputError });
+  const diff = diffKudos(current, req.body || {});
+  if (diff.name?.to === '' || diff.message?.to === '') {
+    return res.status(400).json({ error: 'name and message required.' });
+  }
+  if (diff.tag && !hasTag(project, diff.tag.to)) {
+    return res.status(400).json({ error: `Unknown tag #${diff.tag.to}.` });
+  }
+  if (!Object.keys(diff).length) return res.json(serializeKudos(current));
+
+  const now = new Date();
+  const updates = Object.fromEntries(Object.entries(diff).map(([field, change]) => [field, change.to]));
+  const updated = await kudosCollection.findOneAndUpdate(
+    { _id: kudosId },
+    { $set: { ...updates, updated_at: now } },
+    { returnDocument: 'after' }
+  );
+  await recordRevision({ kudosId, projectId: project._id, user: req.user, action: 'edit', diff, at: now });
+  await touchSnapshot(project._id);
+
+  res.json(serializeKudos(updated));
+});
+
+app.delete('/projects/:owner/:repo/kudos/:id', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'moderator');
   } catch (err) {
-    return res.status(403).json({ error: err.message });
+    return sendPermissionError(res, err);
   }
 
+  const now = new Date();
+  const result = await kudosCollection.updateOne(
+    { _id: kudosId, ...activeKudosFilter(project._id) },
+    { $set: { deleted_at: now, deleted_by: req.user._id } }
+  );
+  if (!result.matchedCount) return res.status(404).json({ error: 'Not found' });
+
+  await recordRevision({ kudosId, projectId: project._id, user: req.user, action: 'delete', at: now });
   await projectsCollection.updateOne(
     { _id: project._id },
-    { $pull: { featured_ids: new ObjectId(kudosId) } }
+    { $pull: { featured_ids: kudosId, curated_order: kudosId } }
   );
+  await touchSnapshot(project._id);
 
   const updated = await projectsCollection.findOne({ _id: project._id });
-  res.json({ featured_ids: updated.featured_ids?.map((id) => id.toString()) || [] });
+  res.json({ id, featured_ids: updated.featured_ids?.map((value) => value.toString()) || [] });
 });
 
-app.get('/projects/:owner/:repo/kudos', async (req, res) => {
-  const { owner, repo } = req.params;
-  const { sort = 'recent', tag, query } = req.query;
+app.get('/projects/:owner/:repo/kudos/:id/revisions', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
   const project = await projectsCollection.findOne({ owner, repo });
-  if (!project) return res.json([]);
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
 
-  const filter = { project_id: project._id };
-  if (tag) filter.tag = tag;
-  if (query) {
-    const pattern = new RegExp(query, 'i');
-    filter.$or = [{ name: pattern }, { handle: pattern }, { message: pattern }];
+  try {
+    await ensureRole(req.user, project, 'moderator');
+  } catch (err) {
+    return sendPermissionError(res, err);
   }
 
-  const sortOrder = sort === 'top'
-    ? { boosts: -1, created_at: -1 }
-    : { created_at: -1 };
-
-  const rows = await kudosCollection
-    .find(filter)
-    .sort(sortOrder)
-    .limit(120)
+  const rows = await revisionsCollection
+    .find({ kudos_id: kudosId, project_id: project._id })
+    .sort({ created_at: -1 })
     .toArray();
 
   res.json(rows.map((row) => ({
     id: row._id.toString(),
-    name: row.name,
-    handle: row.handle,
-    tag: row.tag,
-    message: row.message,
-    avatar_url: row.avatar_url,
-    boosts: row.boosts,
+    action: row.action,
+    editor_login: row.editor_login,
+    diff: row.diff || {},
     created_at: row.created_at,
   })));
 });
 
-app.get('/projects/:owner/:repo/snapshot.svg', async (req, res) => {
-  const { owner, repo } = req.params;
+app.post('/projects/:owner/:repo/kudos/:id/boost', optionalAuth, cheerLimiter, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
   const project = await projectsCollection.findOne({ owner, repo });
-  if (!project) return res.status(404).send('Not found');
+  if (!project) return res.status(404).json({ error: 'Project not found' });
 
-  let featuredRows = [];
-  if (project.featured_ids?.length) {
-    featuredRows = await kudosCollection
-      .find({ _id: { $in: project.featured_ids } })
-      .toArray();
+  const current = await kudosCollection.findOne({ _id: kudosId, ...activeKudosFilter(project._id) });
+  if (!current) return res.status(404).json({ error: 'Not found' });
+
+  const identity = cheerIdentity(req);
+  try {
+    await cheersCollection.insertOne({
+      kudos_id: kudosId,
+      project_id: project._id,
+      identity,
+      kind: req.user ? 'user' : 'anon',
+      created_at: new Date(),
+    });
+  } catch (err) {
+    if (err?.code !== 11000) return res.status(500).json({ error: 'Unable to cheer.' });
+    return res.json(serializeKudos(current, new Set([id])));
   }
-  const remainingRows = await kudosCollection
-    .find({ project_id: project._id, _id: { $nin: project.featured_ids || [] } })
-    .sort({ boosts: -1, created_at: -1 })
-    .limit(10)
-    .toArray();
 
-  const override = {
-    theme: req.query.theme,
-    accent: req.query.accent,
-    background: req.query.background,
-    title: req.query.title,
-    subtitle: req.query.subtitle,
-    titleColor: req.query.titleColor,
-    subtitleColor: req.query.subtitleColor,
-    cardTextColor: req.query.cardTextColor,
-    cardSubtextColor: req.query.cardSubtextColor,
-  };
-  const settings = { ...(project.settings || {}), ...Object.fromEntries(Object.entries(override).filter(([, value]) => value)) };
+  const updated = await kudosCollection.findOneAndUpdate(
+    { _id: kudosId },
+    { $inc: { boosts: 1 } },
+    { returnDocument: 'after' }
+  );
+  await touchSnapshot(project._id);
+  res.json(serializeKudos(updated, new Set([id])));
+});
 
-  const svg = buildSnapshotSvg({
-    owner,
-    repo,
-    kudos: [...featuredRows, ...remainingRows].slice(0, 10),
-    settings,
-  });
-  res.set('Content-Type', 'image/svg+xml');
-  res.send(svg);
+app.delete('/projects/:owner/:repo/kudos/:id/boost', optionalAuth, cheerLimiter, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const kudosId = parseObjectId(id);
+  if (!kudosId) return res.status(400).json({ error: 'Invalid kudos id.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found' });
+
+  const current = await kudosCollection.findOne({ _id: kudosId, ...activeKudosFilter(project._id) });
+  if (!current) return res.status(404).json({ error: 'Not found' });
+
+  const removed = await cheersCollection.deleteOne({ kudos_id: kudosId, identity: cheerIdentity(req) });
+  if (!removed.deletedCount) return res.json(serializeKudos(current, new Set()));
+
+  const updated = await kudosCollection.findOneAndUpdate(
+    { _id: kudosId, boosts: { $gt: 0 } },
+    { $inc: { boosts: -1 } },
+    { returnDocument: 'after' }
+  );
+  await touchSnapshot(project._id);
+  res.json(serializeKudos(updated || current, new Set()));
 });
 
-app.post('/projects/:owner/:repo/kudos', authMiddleware, async (req, res) => {
-  const { owner, repo } = req.params;
-  const { name, handle = '', tag = 'docs', message, avatar_url } = req.body || {};
-  if (!name || !message) return res.status(400).json({ error: 'name and message required.' });
+app.post('/webhooks/github', async (req, res) => {
+  const event = req.headers['x-github-event'];
+  const deliveryId = req.headers['x-github-delivery'];
+  const payload = req.body || {};
+  const owner = payload.repository?.owner?.login;
+  const repo = payload.repository?.name;
+  if (!event || !owner || !repo) return res.status(400).json({ error: 'Not a GitHub repository event.' });
 
   const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'No wall for this repository.' });
+  if (!project.webhook?.secret) return res.status(404).json({ error: 'Webhook not configured for this wall.' });
+
+  // Unsigned requests can come from anyone, so they only bump a counter
+  // instead of pushing real deliveries out of the log.
+  if (!verifyWebhookSignature(project.webhook.secret, req.rawBody, req.headers['x-hub-signature-256'])) {
+    await projectsCollection.updateOne(
+      { _id: project._id },
+      { $inc: { 'webhook.signature_failures': 1 }, $set: { 'webhook.last_signature_failure_at': new Date() } }
+    );
+    return res.status(401).json({ error: 'Signature mismatch. Check the webhook secret.' });
+  }
+
+  try {
+    const outcome = await processWebhookEvent(project, event, payload);
+    await logDelivery(project, { deliveryId, event, payload, outcome });
+    res.status(outcome.status === 'processed' ? 201 : 202).json({ status: outcome.status, message: outcome.message });
+  } catch (err) {
+    const outcome = { status: 'failed', message: err.message || 'Unable to process delivery.' };
+    await logDelivery(project, { deliveryId, event, payload, outcome });
+    res.status(500).json({ error: outcome.message });
+  }
+});
+
+app.get('/projects/:owner/:repo/webhook', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  let project = await projectsCollection.findOne({ owner, repo });
   if (!project) return res.status(404).json({ error: 'Project not found.' });
 
   try {
-    await ensureMaintainer(req.user, owner, repo);
+    await ensureRole(req.user, project, 'owner');
   } catch (err) {
-    return res.status(403).json({ error: err.message });
+    return sendPermissionError(res, err);
   }
 
-  const doc = {
-    project_id: project._id,
-    name: name.slice(0, 80),
-    handle: handle.slice(0, 40),
-    tag: tag.slice(0, 30),
-    message: message.slice(0, 400),
-    avatar_url: avatar_url ? avatar_url.slice(0, 300) : '',
-    boosts: 0,
-    created_at: new Date(),
-  };
+  if (!project.webhook?.secret) {
+    project = await projectsCollection.findOneAndUpdate(
+      { _id: project._id },
+      { $set: { 'webhook.secret': crypto.randomBytes(24).toString('hex'), 'webhook.configured_by': userRef(req.user) } },
+      { returnDocument: 'after' }
+    );
+  }
 
-  const result = await kudosCollection.insertOne(doc);
-  res.status(201).json({
-    id: result.insertedId.toString(),
-    name: doc.name,
-    handle: doc.handle,
-    tag: doc.tag,
-    message: doc.message,
-    avatar_url: doc.avatar_url,
-    boosts: doc.boosts,
-    created_at: doc.created_at,
-  });
+  res.json(webhookConfig(project));
 });
 
-app.post('/projects/:owner/:repo/kudos/:id/boost', async (req, res) => {
-  const { owner, repo, id } = req.params;
+app.patch('/projects/:owner/:repo/webhook', authMiddleware, async (req, res) => {
+  const { owner, repo } = req.params;
+  const { auto_publish: autoPublish, rules, rotate_secret: rotateSecret } = req.body || {};
   const project = await projectsCollection.findOne({ owner, repo });
-  if (!project) return res.status(404).json({ error: 'Project not found' });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
 
-  const updated = await kudosCollection.findOneAndUpdate(
-    { _id: new ObjectId(id), project_id: project._id },
-    { $inc: { boosts: 1 } },
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const current = webhookConfig(project);
+  const updates = { 'webhook.configured_by': userRef(req.user) };
+  if (typeof autoPublish === 'boolean') updates['webhook.auto_publish'] = autoPublish;
+  if (rules && typeof rules === 'object') {
+    updates['webhook.rules'] = Object.fromEntries(
+      Object.keys(DEFAULT_WEBHOOK_RULES).map((rule) => [rule, typeof rules[rule] === 'boolean' ? rules[rule] : current.rules[rule]])
+    );
+  }
+  if (rotateSecret || !current.secret) {
+    updates['webhook.secret'] = crypto.randomBytes(24).toString('hex');
+    updates['webhook.signature_failures'] = 0;
+    updates['webhook.last_signature_failure_at'] = null;
+  }
+
+  const updated = await projectsCollection.findOneAndUpdate(
+    { _id: project._id },
+    { $set: updates },
     { returnDocument: 'after' }
   );
-
-  if (!updated.value) return res.status(404).json({ error: 'Not found' });
-  res.json({
-    id: updated.value._id.toString(),
-    name: updated.value.name,
-    handle: updated.value.handle,
-    tag: updated.value.tag,
-    message: updated.value.message,
-    avatar_url: updated.value.avatar_url,
-    boosts: updated.value.boosts,
-    created_at: updated.value.created_at,
-  });
+  res.json(webhookConfig(updated));
 });
 
-app.get('/projects/:owner/:repo/stats', async (req, res) => {
+app.get('/projects/:owner/:repo/webhook/deliveries', authMiddleware, async (req, res) => {
   const { owner, repo } = req.params;
   const project = await projectsCollection.findOne({ owner, repo });
-  if (!project) return res.json({ totalKudos: 0, totalContributors: 0, topTag: null, weekCount: 0 });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const rows = await deliveriesCollection
+    .find({ project_id: project._id }, { projection: { payload: 0 } })
+    .sort({ created_at: -1 })
+    .limit(50)
+    .toArray();
+
+  res.json(rows.map((row) => ({
+    id: row._id.toString(),
+    delivery_id: row.delivery_id,
+    event: row.event,
+    action: row.action,
+    status: row.status,
+    message: row.message,
+    kudos_id: row.kudos_id?.toString() || null,
+    redelivery: Boolean(row.redelivery),
+    created_at: row.created_at,
+  })));
+});
+
+app.post('/projects/:owner/:repo/webhook/deliveries/:id/redeliver', authMiddleware, async (req, res) => {
+  const { owner, repo, id } = req.params;
+  const deliveryId = parseObjectId(id);
+  if (!deliveryId) return res.status(400).json({ error: 'Invalid delivery id.' });
+  const project = await projectsCollection.findOne({ owner, repo });
+  if (!project) return res.status(404).json({ error: 'Project not found.' });
+
+  try {
+    await ensureRole(req.user, project, 'owner');
+  } catch (err) {
+    return sendPermissionError(res, err);
+  }
+
+  const delivery = await deliveriesCollection.findOne({ _id: deliveryId, project_id: project._id });
+  if (!delivery?.payload) return res.status(404).json({ error: 'No stored payload for this delivery.' });
+
+  try {
+    const outcome = await processWebhookEvent(project, delivery.event, delivery.payload);
+    await logDelivery(project, { deliveryId: delivery.delivery_id, event: delivery.event, payload: delivery.payload, outcome, redelivery: true });
+    res.json({ status: outcome.status, message: outcome.message });
+  } catch (err) {
+    const outcome = { status: 'failed', message: err.message || 'Unable to process delivery.' };
+    await logDelivery(project, { deliveryId: delivery.delivery_id, event: delivery.event, payload: delivery.payload, outcome, redelivery: true });
+    res.status(500).json({ error: outcome.message });
+  }
+});
+
+async function projectStats(project) {
+  if (!project) return { totalKudos: 0, totalContributors: 0, topTag: null, weekCount: 0, totalCheers: 0 };
 
-  const totalKudos = await kudosCollection.countDocuments({ project_id: project._id });
+  const activeFilter = activeKudosFilter(project._id);
+  const totalKudos = await kudosCollection.countDocuments(activeFilter);
   const totalContributorsAgg = await kudosCollection.aggregate([
-    { $match: { project_id: project._id } },
+    { $match: activeFilter },
     { $group: { _id: { name: '$name', handle: '$handle' } } },
     { $count: 'count' },
   ]).toArray();
   const totalContributors = totalContributorsAgg[0]?.count || 0;
 
   const topTagAgg = await kudosCollection.aggregate([
-    { $match: { project_id: project._id } },
+    { $match: activeFilter },
     { $group: { _id: '$tag', count: { $sum: 1 } } },
     { $sort: { count: -1 } },
     { $limit: 1 },
@@ -583,9 +3032,143 @@ app.get('/projects/:owner/:repo/stats', async (req, res) => {
   const topTag = topTagAgg[0]?._id || null;
 
   const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-  const weekCount = await kudosCollection.countDocuments({ project_id: project._id, created_at: { $gte: since } });
+  const weekCount = await kudosCollection.countDocuments({ ...activeFilter, created_at: { $gte: since } });
+
+  const cheersAgg = await kudosCollection.aggregate([
+    { $match: activeFilter },
+    { $group: { _id: null, total: { $sum: '$boosts' } } },
+  ]).toArray();
+  const totalCheers = cheersAgg[0]?.total || 0;
+
+  return { totalKudos, totalContributors, topTag, weekCount, totalCheers };
+}
+
+function formatCount(value) {
+  if (value < 1000) return String(value);
+  if (value < 1000000) return `${Number((value / 1000).toFixed(value < 10000 ? 1 : 0))}k`;
+  return `${Number((value / 1000000).toFixed(1))}M`;
+}
 
-  res.json({ totalKudos, totalContributors, topTag, weekCount });
+// Query values can be arrays or objects (`?color[]=…`), so only plain strings
+// are honoured.
+function badgeContent(project, stats, query) {
+  const param = (name) => (typeof query[name] === 'string' ? query[name] : '');
+  const metric = Object.hasOwn(BADGE_METRICS, param('metric')) ? param('metric') : 'kudos';
+  const { label, stat } = BADGE_METRICS[metric];
+  const color = /^#?[0-9a-f]{3,8}$/i.test(param('color')) ? `#${param('color').replace(/^#/, '')}` : project?.settings?.accent || '#ff6a3d';
+  return {
+    label: (param('label') || label).slice(0, 40),
+    message: formatCount(stats[stat] || 0),
+    color,
+  };
+}
+
+app.get('/projects/:owner/:repo/stats', async (req, res) => {
+  const { owner, repo } = req.params;
+  const project = await projectsCollection.findOne({ owner, repo });
+  res.json(await projectStats(project));
+});
+
+app.get('/projects/:owner/:repo/badge.svg', async (req, res) => {
+  const { owner, repo } = req.params;
+  try {
+    const project = await projectsCollection.findOne({ owner, repo });
+    const badge = badgeContent(project, await projectStats(project), req.query);
+    const style = typeof req.query.style === 'string' && BADGE_STYLES.includes(req.query.style) ? req.query.style : 'flat';
+    res.set({ 'Content-Type': 'image/svg+xml', 'Cache-Control': SNAPSHOT_CACHE_CONTROL });
+    res.send(buildBadgeSvg({ ...badge, style }));
+  } catch (err) {
+    console.error('[badge] render failed', err?.message || err);
+    res.status(500).send('Unable to render badge.');
+  }
+});
+
+// shields.io endpoint badge: https://img.shields.io/endpoint?url=<this route>
+app.get('/projects/:owner/:repo/badge.json', async (req, res) => {
+  const { owner, repo } = req.params;
+  try {
+    const project = await projectsCollection.findOne({ owner, repo });
+    const badge = badgeContent(project, await projectStats(project), req.query);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ schemaVersion: 1, ...badge, color: badge.color.replace(/^#/, '') });
+  } catch (err) {
+    console.error('[badge] render failed', err?.message || err);
+    res.status(500).json({ error: 'Unable to render badge.' });
+  }
+});
+
+let spaIndexCache = { html: '', fetchedAt: 0 };
+
+// The SPA shell the wall page is built from: a local build when
+// SPA_INDEX_PATH is set, otherwise the deployed frontend's index.html.
+async function loadSpaIndex() {
+  if (spaIndexCache.html && Date.now() - spaIndexCache.fetchedAt < SPA_INDEX_TTL_MS) return spaIndexCache.html;
+  const html = SPA_INDEX_PATH
+    ? await fs.readFile(SPA_INDEX_PATH, 'utf8')
+    : await fetch(SPA_INDEX_URL, { signal: AbortSignal.timeout(5000) }).then((response) => {
+      if (!response.ok) throw new Error(`index.html returned ${response.status}`);
+      return response.text();
+    });
+  spaIndexCache = { html, fetchedAt: Date.now() };
+  return html;
+}
+
+function wallMetaTags({ owner, repo, project, stats }) {
+  const wallUrl = `${FRONTEND_URL}/p/${owner}/${repo}`;
+  const title = `${owner}/${repo} · ${project?.settings?.title || 'PR Gratitude Wall'}`;
+  const parts = project
+    ? [
+      `${stats.totalKudos} maintainer-verified kudos for ${stats.totalContributors} contributor${stats.totalContributors === 1 ? '' : 's'}`,
+      stats.topTag ? `most thanked for #${stats.topTag}` : '',
+      stats.weekCount ? `${stats.weekCount} this week` : '',
+    ]
+    : ['A gratitude wall for open-source contributors'];
+  const description = `${parts.filter(Boolean).join(' · ')}.`;
+  const image = `${BACKEND_URL}/projects/${owner}/${repo}/snapshot.png?width=1200&height=630`;
+  const tags = [
+    ['name', 'description', description],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:url', wallUrl],
+    ['property', 'og:image', image],
+    ['property', 'og:image:width', '1200'],
+    ['property', 'og:image:height', '630'],
+    ['name', 'twitter:card', 'summary_large_image'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image],
+  ];
+  return [
+    `<title>${escapeXml(title)}</title>`,
+    `<link rel="canonical" href="${escapeXml(wallUrl)}" />`,
+    ...tags.map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeXml(value)}" />`),
+  ].join('\n    ');
+}
+
+// Crawlers do not run the SPA, so wall URLs are served from here (the frontend
+// host proxies /p/* to this route) with the generic tags swapped for the wall's.
+app.get('/p/:owner/:repo', async (req, res) => {
+  const { owner, repo } = req.params;
+  let html;
+  try {
+    html = await loadSpaIndex();
+  } catch (err) {
+    console.error('[wall page] unable to load index.html', err?.message || err);
+    return res.status(502).send('Wall page is temporarily unavailable.');
+  }
+
+  const project = await projectsCollection.findOne({ owner, repo });
+  const stats = await projectStats(project);
+  const page = html
+    .replace(/\s*<title>[\s\S]*?<\/title>/i, '')
+    .replace(/\s*<link rel="canonical"[^>]*>/gi, '')
+    .replace(/\s*<meta (?:name|property)="(?:description|og:[^"]+|twitter:[^"]+)"[^>]*>/gi, '')
+    // A replacer function keeps `$&`-style patterns in wall titles literal.
+    .replace(/\s*<\/head>/i, () => `\n    ${wallMetaTags({ owner, repo, project, stats })}\n  </head>`);
+
+  res.set({ 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'public, max-age=300' });
+  res.send(page);
 });
 
 async function start() {
@@ -595,10 +3178,33 @@ async function start() {
   usersCollection = db.collection('users');
   projectsCollection = db.collection('projects');
   kudosCollection = db.collection('kudos');
+  revisionsCollection = db.collection('kudos_revisions');
+  cheersCollection = db.collection('kudos_cheers');
+  deliveriesCollection = db.collection('webhook_deliveries');
+  oauthStatesCollection = db.collection('oauth_states');
+  sessionsCollection = db.collection('sessions');
+  apiTokensCollection = db.collection('api_tokens');
 
   await usersCollection.createIndex({ github_id: 1 }, { unique: true });
   await projectsCollection.createIndex({ owner: 1, repo: 1 }, { unique: true });
-  await kudosCollection.createIndex({ project_id: 1, created_at: -1 });
+  await kudosCollection.createIndex({ project_id: 1, created_at: -1, _id: -1 });
+  await kudosCollection.createIndex({ project_id: 1, boosts: -1, created_at: -1, _id: -1 });
+  await revisionsCollection.createIndex({ kudos_id: 1, created_at: -1 });
+  await cheersCollection.createIndex({ kudos_id: 1, identity: 1 }, { unique: true });
+  await kudosCollection.createIndex({ project_id: 1, 'pr.number': 1 }, { sparse: true });
+  await kudosCollection.createIndex(
+    { project_id: 1, name: 'text', handle: 'text', message: 'text', tag: 'text' },
+    { name: 'kudos_text', weights: { name: 5, handle: 5, tag: 3, message: 1 } }
+  );
+  await deliveriesCollection.createIndex({ project_id: 1, created_at: -1 });
+  await deliveriesCollection.createIndex({ created_at: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+  await oauthStatesCollection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+  await sessionsCollection.createIndex({ secret_hash: 1 }, { unique: true });
+  await sessionsCollection.createIndex({ user_id: 1, last_used_at: -1 });
+  await sessionsCollection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+  await apiTokensCollection.createIndex({ token_hash: 1 }, { unique: true });
+  await apiTokensCollection.createIndex({ user_id: 1, created_at: -1 });
+  await reencryptGithubTokens();
 
   app.listen(PORT, () => {
     console.log(`Gratitude Wall API running on ${PORT}`);
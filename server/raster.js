@@ -0,0 +1,38 @@
+import { createRequire } from 'node:module';
+import { Resvg } from '@resvg/resvg-js';
+import sharp from 'sharp';
+
+const require = createRequire(import.meta.url);
+
+// The snapshot SVG asks for Fraunces and Space Grotesk. Raster output has no
+// browser to fetch them, so the same families ship with the server.
+export const FONT_FILES = Object.fromEntries(Object.entries({
+  serifSemiBold: '@expo-google-fonts/fraunces/600SemiBold/Fraunces_600SemiBold.ttf',
+  serifBold: '@expo-google-fonts/fraunces/700Bold/Fraunces_700Bold.ttf',
+  sansRegular: '@expo-google-fonts/space-grotesk/400Regular/SpaceGrotesk_400Regular.ttf',
+  sansSemiBold: '@expo-google-fonts/space-grotesk/600SemiBold/SpaceGrotesk_600SemiBold.ttf',
+  sansBold: '@expo-google-fonts/space-grotesk/700Bold/SpaceGrotesk_700Bold.ttf',
+}).map(([key, file]) => [key, require.resolve(file)]));
+
+export const RASTER_FORMATS = {
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+export const RASTER_SCALES = [1, 2];
+
+export async function renderRaster(svg, { format = 'png', scale = 1 } = {}) {
+  const resvg = new Resvg(svg, {
+    fitTo: { mode: 'zoom', value: scale },
+    font: {
+      fontFiles: Object.values(FONT_FILES),
+      loadSystemFonts: false,
+      defaultFontFamily: 'Space Grotesk',
+      serifFamily: 'Fraunces',
+      sansSerifFamily: 'Space Grotesk',
+    },
+  });
+  const png = resvg.render().asPng();
+  if (format === 'png') return png;
+  return sharp(png).webp({ quality: 90 }).toBuffer();
+}
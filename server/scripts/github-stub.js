@@ -0,0 +1,164 @@
+// A small stand-in for github.com and api.github.com covering the endpoints
+// the API calls, for exercising OAuth and GitHub App mode locally.
+//
+//   node scripts/github-stub.js
+//   GITHUB_API_URL=http://localhost:4010 GITHUB_WEB_URL=http://localhost:4010 npm run dev
+//
+// STUB_REPOS lists the repos the stub user maintains (default octo-org/gratitude-wall)
+// and STUB_APP_REPOS the ones the app is installed on (default: all of them).
+// STUB_OAUTH_SCOPE=repo lets user tokens read repos, mimicking the classic
+// OAuth flow; leave it empty to check that App mode never needs it. App JWTs
+// are verified when GITHUB_APP_PRIVATE_KEY is set. Every request is logged
+// with the kind of credential it used.
+import crypto from 'node:crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = Number(process.env.STUB_PORT) || 4010;
+const LOGIN = process.env.STUB_LOGIN || 'octocat';
+const PERMISSION = process.env.STUB_PERMISSION || 'admin';
+const OAUTH_SCOPE = process.env.STUB_OAUTH_SCOPE ?? 'repo';
+const REPOS = (process.env.STUB_REPOS || 'octo-org/gratitude-wall').split(',').map((name) => name.trim()).filter(Boolean);
+const APP_REPOS = process.env.STUB_APP_REPOS ? process.env.STUB_APP_REPOS.split(',').map((name) => name.trim()) : REPOS;
+const PRIVATE_KEY = (process.env.GITHUB_APP_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+const PUBLIC_KEY = PRIVATE_KEY ? crypto.createPublicKey(PRIVATE_KEY) : null;
+const USER_TOKEN = 'stub-user-token';
+const INSTALLATION_ID = 42;
+const INSTALLATION_TOKEN = `stub-installation-${INSTALLATION_ID}`;
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+const findRepo = (owner, repo) => REPOS.find((name) => name.toLowerCase() === `${owner}/${repo}`.toLowerCase());
+const notFound = (res) => res.status(404).json({ message: 'Not Found' });
+
+function credential(req) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return { kind: 'none' };
+  const token = header.slice(7);
+  if (token === USER_TOKEN) return { kind: 'user' };
+  if (token === INSTALLATION_TOKEN) return { kind: 'installation' };
+  try {
+    const claims = PUBLIC_KEY ? jwt.verify(token, PUBLIC_KEY, { algorithms: ['RS256'] }) : jwt.decode(token);
+    if (claims?.iss) return { kind: 'app', appId: claims.iss };
+  } catch {
+    // fall through
+  }
+  return { kind: 'invalid' };
+}
+
+app.use((req, res, next) => {
+  req.credential = credential(req);
+  console.log(`[stub] ${req.method} ${req.path} (${req.credential.kind})`);
+  if (req.credential.kind === 'invalid') return res.status(401).json({ message: 'Bad credentials' });
+  return next();
+});
+
+function requireKind(...kinds) {
+  return (req, res, next) => {
+    if (!kinds.includes(req.credential.kind)) return res.status(401).json({ message: 'Requires authentication' });
+    return next();
+  };
+}
+
+// Repo data needs an installation token on an installed repo, or a user token
+// that was granted the `repo` scope.
+function requireRepoAccess(req, res, next) {
+  const name = findRepo(req.params.owner, req.params.repo);
+  if (!name) return notFound(res);
+  const { kind } = req.credential;
+  if (kind === 'installation' && APP_REPOS.includes(name)) return next();
+  if (kind === 'user' && OAUTH_SCOPE.split(/[ ,]+/).includes('repo')) return next();
+  return res.status(403).json({ message: 'Resource not accessible by integration' });
+}
+
+const profile = (login) => ({
+  id: login === LOGIN ? 1 : 1000 + login.length,
+  login,
+  name: login === LOGIN ? 'Octo Cat' : login,
+  avatar_url: 'https://avatars.githubusercontent.com/u/583231',
+});
+
+const repoInfo = (name) => {
+  const [owner, repo] = name.split('/');
+  return {
+    name: repo,
+    full_name: name,
+    owner: { login: owner },
+    private: false,
+    stargazers_count: 7,
+    description: 'Stubbed repository',
+    updated_at: new Date().toISOString(),
+    language: 'JavaScript',
+    permissions: { admin: PERMISSION === 'admin', maintain: PERMISSION === 'maintain', push: ['admin', 'maintain', 'write'].includes(PERMISSION) },
+  };
+};
+
+const pulls = (name) => [1, 2, 3].map((number) => ({
+  number,
+  title: `Stub pull request #${number}`,
+  html_url: `https://github.com/${name}/pull/${number}`,
+  state: 'closed',
+  merged_at: new Date(Date.now() - number * 86400000).toISOString(),
+  labels: number === 1 ? [{ name: 'documentation' }] : [],
+  user: profile(`contributor-${number}`),
+}));
+
+app.get('/login/oauth/authorize', (req, res) => {
+  const target = new URL(String(req.query.redirect_uri || ''));
+  target.searchParams.set('code', 'stub-code');
+  if (req.query.state) target.searchParams.set('state', String(req.query.state));
+  res.redirect(target.toString());
+});
+
+app.post('/login/oauth/access_token', (req, res) => {
+  if (req.body.code !== 'stub-code') return res.json({ error: 'bad_verification_code' });
+  res.json({ access_token: USER_TOKEN, token_type: 'bearer', scope: OAUTH_SCOPE });
+});
+
+app.delete('/applications/:clientId/grant', (req, res) => res.status(204).end());
+
+app.get('/user', requireKind('user'), (req, res) => res.json(profile(LOGIN)));
+
+app.get('/user/repos', requireKind('user'), (req, res) => res.json(REPOS.map(repoInfo)));
+
+app.get('/users/:login', (req, res) => res.json(profile(req.params.login)));
+
+app.get('/repos/:owner/:repo/installation', requireKind('app'), (req, res) => {
+  const name = findRepo(req.params.owner, req.params.repo);
+  if (!name || !APP_REPOS.includes(name)) return notFound(res);
+  res.json({ id: INSTALLATION_ID, account: { login: req.params.owner } });
+});
+
+app.post('/app/installations/:id/access_tokens', requireKind('app'), (req, res) => {
+  if (Number(req.params.id) !== INSTALLATION_ID) return notFound(res);
+  res.status(201).json({ token: INSTALLATION_TOKEN, expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+});
+
+app.get('/repos/:owner/:repo', requireRepoAccess, (req, res) => res.json(repoInfo(findRepo(req.params.owner, req.params.repo))));
+
+app.get('/repos/:owner/:repo/collaborators/:login/permission', requireRepoAccess, (req, res) => {
+  res.json({ permission: req.params.login === LOGIN ? PERMISSION : 'read', user: profile(req.params.login) });
+});
+
+app.get('/repos/:owner/:repo/contributors', requireRepoAccess, (req, res) => {
+  res.json([1, 2, 3].map((n) => ({ ...profile(`contributor-${n}`), contributions: 40 / n })));
+});
+
+app.get('/repos/:owner/:repo/pulls', requireRepoAccess, (req, res) => res.json(pulls(findRepo(req.params.owner, req.params.repo))));
+
+app.get('/repos/:owner/:repo/issues/:number', requireRepoAccess, (req, res) => {
+  const name = findRepo(req.params.owner, req.params.repo);
+  const pull = pulls(name).find((entry) => entry.number === Number(req.params.number));
+  if (!pull) return notFound(res);
+  res.json({ ...pull, pull_request: { merged_at: pull.merged_at } });
+});
+
+app.get('/repos/:owner/:repo/commits/:sha', requireRepoAccess, (req, res) => {
+  res.json({ sha: req.params.sha.padEnd(40, '0'), commit: { message: 'Stub commit\n\nDetails' } });
+});
+
+app.use((req, res) => notFound(res));
+
+app.listen(PORT, () => console.log(`GitHub stub listening on http://localhost:${PORT}`));
@@ -0,0 +1,41 @@
+// Replays a recorded GitHub webhook payload against a local API, signed the
+// same way GitHub signs deliveries.
+//
+//   WEBHOOK_SECRET=... node scripts/replay-webhook.js fixtures/pull_request.merged.json
+//
+// Set GITHUB_EVENT to override the event name (defaults to the fixture's
+// file name prefix, e.g. "pull_request").
+import crypto from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const BACKEND_URL = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 4000}`;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) throw new Error('Usage: node scripts/replay-webhook.js <payload.json>');
+  if (!WEBHOOK_SECRET) throw new Error('WEBHOOK_SECRET is required (copy it from the wall settings).');
+
+  const body = await readFile(file);
+  const event = process.env.GITHUB_EVENT || path.basename(file).split('.')[0];
+  const signature = `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')}`;
+
+  const response = await fetch(`${BACKEND_URL}/webhooks/github`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'GitHub-Hookshot/replay',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': signature,
+    },
+    body,
+  });
+  console.log(response.status, await response.text());
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
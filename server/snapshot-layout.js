@@ -0,0 +1,283 @@
+import fs from 'node:fs';
+import opentype from 'opentype.js';
+import { FONT_FILES } from './raster.js';
+
+export const SNAPSHOT_LAYOUTS = ['masonry', 'compact', 'list', 'spotlight'];
+
+// Sizes snap to `step` so arbitrary pixel values cannot each force a fresh
+// render; the presets the app offers (1200×630, 1080×1080, 420×1200) all land
+// on the grid.
+export const SNAPSHOT_SIZE = {
+  width: { default: 1200, min: 320, max: 2400, step: 30 },
+  height: { default: 630, min: 200, max: 2400, step: 30 },
+  count: { default: 10, min: 1, max: 30, step: 1 },
+};
+
+export const CAROUSEL_TRANSITIONS = ['fade', 'slide', 'none'];
+
+export const CAROUSEL_LIMITS = {
+  pageSize: { default: 3, min: 1, max: 12 },
+  dwell: { default: 4, min: 1, max: 30 },
+};
+
+// Glyph advances come from the same files the rasterizer embeds, so wrapped
+// lines match the PNG exactly and stay conservative for browser fallbacks.
+const FONTS = Object.fromEntries(Object.entries(FONT_FILES).map(([key, file]) => {
+  const buffer = fs.readFileSync(file);
+  return [key, opentype.parse(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength))];
+}));
+
+const ELLIPSIS = '…';
+
+// Renders of one wall measure the same names, tags and message prefixes over
+// and over, so advances are memoized per font, size and text.
+const MAX_MEASURE_CACHE_ENTRIES = 50000;
+const MAX_MEASURE_CACHE_TEXT = 300;
+const measureCache = new Map();
+
+const CARD_STYLES = {
+  masonry: { minWidth: 300, gap: 20, pad: 20, avatar: 16, name: 18, handle: 13, message: 14, lineHeight: 20, maxLines: 6, footer: 12 },
+  compact: { minWidth: 240, gap: 12, pad: 14, avatar: 12, name: 15, handle: 12, message: 13, lineHeight: 18, maxLines: 2, footer: 11, inlineHandle: true },
+  list: { minWidth: 0, gap: 14, pad: 18, avatar: 18, name: 18, handle: 13, message: 15, lineHeight: 21, maxLines: 3, footer: 12, inlineHandle: true },
+  spotlight: { minWidth: 0, gap: 20, pad: 28, avatar: 24, name: 22, handle: 14, message: 22, lineHeight: 31, maxLines: 8, footer: 13 },
+};
+
+function fontFor(weight, family) {
+  if (family === 'serif') return weight >= 700 ? FONTS.serifBold : FONTS.serifSemiBold;
+  if (weight >= 700) return FONTS.sansBold;
+  if (weight >= 600) return FONTS.sansSemiBold;
+  return FONTS.sansRegular;
+}
+
+export function measureText(text, { size, weight = 400, family = 'sans' }) {
+  const value = String(text);
+  if (value.length > MAX_MEASURE_CACHE_TEXT) return fontFor(weight, family).getAdvanceWidth(value, size);
+  const key = `${family}:${weight}:${size}:${value}`;
+  let width = measureCache.get(key);
+  if (width === undefined) {
+    width = fontFor(weight, family).getAdvanceWidth(value, size);
+    measureCache.set(key, width);
+    if (measureCache.size > MAX_MEASURE_CACHE_ENTRIES) measureCache.delete(measureCache.keys().next().value);
+  }
+  return width;
+}
+
+// Longest prefix length (at least `min`) whose rendering fits maxWidth. It
+// gallops up from short prefixes and then bisects, so the cost follows how
+// much text fits rather than how long the input is.
+function fittingLength(text, maxWidth, font, { min = 0, suffix = '' } = {}) {
+  const fits = (length) => measureText(text.slice(0, length) + suffix, font) <= maxWidth;
+  let low = min;
+  let high = Math.max(min, 1);
+  while (high < text.length && fits(high)) {
+    low = high;
+    high *= 2;
+  }
+  high = Math.min(high, text.length);
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (fits(mid)) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+function clipToWidth(text, maxWidth, font) {
+  const clipped = text.slice(0, fittingLength(text, maxWidth, font, { suffix: ELLIPSIS }));
+  return `${clipped.trimEnd()}${ELLIPSIS}`;
+}
+
+export function fitText(text, maxWidth, font) {
+  const value = String(text || '');
+  if (measureText(value, font) <= maxWidth) return value;
+  return clipToWidth(value, maxWidth, font);
+}
+
+// Greedy word wrap. Words wider than a whole line are split by character, and
+// text beyond maxLines is folded into an ellipsis on the last kept line.
+export function wrapText(text, { maxWidth, maxLines = Infinity, ...font }) {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  const pushWord = (word) => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (measureText(candidate, font) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+    if (current) lines.push(current);
+    current = '';
+    let rest = word;
+    while (rest.length > 1 && lines.length <= maxLines) {
+      const cut = fittingLength(rest, maxWidth, font, { min: 1 });
+      if (cut >= rest.length) break;
+      lines.push(rest.slice(0, cut));
+      rest = rest.slice(cut);
+    }
+    current = rest;
+  };
+
+  // Anything past maxLines + 1 lines is clipped away anyway.
+  for (const word of words) {
+    if (lines.length > maxLines) break;
+    pushWord(word);
+  }
+  if (current) lines.push(current);
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = clipToWidth(kept[maxLines - 1], maxWidth, font);
+  return kept;
+}
+
+export function clampSnapshotSize(query = {}) {
+  return Object.fromEntries(Object.entries(SNAPSHOT_SIZE).map(([key, limits]) => {
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value <= 0) return [key, limits.default];
+    const snapped = Math.round(value / limits.step) * limits.step;
+    return [key, Math.min(limits.max, Math.max(limits.min, snapped))];
+  }));
+}
+
+// Returns null unless the query asks for `mode=carousel`.
+export function clampCarousel(query = {}) {
+  if (query.mode !== 'carousel') return null;
+  const pageSize = Math.round(Number(query.pageSize));
+  const dwell = Number(query.dwell);
+  return {
+    pageSize: Number.isFinite(pageSize) && pageSize > 0
+      ? Math.min(CAROUSEL_LIMITS.pageSize.max, Math.max(CAROUSEL_LIMITS.pageSize.min, pageSize))
+      : CAROUSEL_LIMITS.pageSize.default,
+    dwell: Number.isFinite(dwell) && dwell > 0
+      ? Math.min(CAROUSEL_LIMITS.dwell.max, Math.max(CAROUSEL_LIMITS.dwell.min, dwell))
+      : CAROUSEL_LIMITS.dwell.default,
+    transition: CAROUSEL_TRANSITIONS.includes(query.transition) ? query.transition : 'fade',
+  };
+}
+
+function layoutCard(entry, width, style, refs) {
+  const inner = width - style.pad * 2;
+  const textX = style.avatar * 2 + 12;
+  const nameFont = { size: style.name, weight: 600 };
+  const handleFont = { size: style.handle };
+  const footerFont = { size: style.footer };
+  const messageFont = { size: style.message };
+
+  const name = fitText(entry.name || 'Contributor', inner - textX, nameFont);
+  let handle = entry.handle || '';
+  if (style.inlineHandle && handle) {
+    const room = inner - textX - measureText(name, nameFont) - 10;
+    handle = room > 40 ? fitText(handle, room, handleFont) : '';
+  } else {
+    handle = fitText(handle, inner - textX, handleFont);
+  }
+
+  const headerHeight = style.avatar * 2;
+  const lines = wrapText(entry.message || 'Thanks for your contributions!', {
+    ...messageFont,
+    maxWidth: inner,
+    maxLines: style.maxLines,
+  });
+  const tag = `#${entry.tag || 'community'}`;
+  const refRoom = inner - measureText(tag, footerFont) - 16;
+  const refLine = refs && refRoom > 40 ? fitText(refs, refRoom, footerFont) : '';
+
+  const messageTop = style.pad + headerHeight + 14;
+  const footerY = messageTop + lines.length * style.lineHeight + 8 + style.footer;
+  return {
+    entry,
+    width,
+    height: footerY + style.pad,
+    style,
+    name,
+    handle,
+    lines,
+    tag,
+    refLine,
+    messageTop,
+    footerY,
+  };
+}
+
+function placeColumns(items, { left, top, bottom, columns, columnWidth, gap }) {
+  const heights = Array(columns).fill(top);
+  const placed = [];
+  for (const item of items) {
+    const column = heights.indexOf(Math.min(...heights));
+    if (heights[column] + item.height > bottom) break;
+    placed.push({ ...item, x: left + column * (columnWidth + gap), y: heights[column] });
+    heights[column] += item.height + gap;
+  }
+  return placed;
+}
+
+function columnsFor(contentWidth, style) {
+  if (!style.minWidth) return 1;
+  return Math.max(1, Math.floor((contentWidth + style.gap) / (style.minWidth + style.gap)));
+}
+
+export function layoutSnapshot({ kudos, width, height, layout, referenceLabel = () => '' }) {
+  const narrow = width < 640;
+  const margin = narrow ? 28 : 60;
+  const header = {
+    x: margin,
+    titleSize: narrow ? 26 : 36,
+    subtitleSize: narrow ? 15 : 18,
+    titleY: margin + (narrow ? 20 : 12),
+    subtitleY: margin + (narrow ? 46 : 44),
+    maxWidth: width - margin * 2,
+  };
+  const top = header.subtitleY + (narrow ? 30 : 46);
+  const bottom = height - (narrow ? 20 : 40);
+  const contentWidth = width - margin * 2;
+  const mode = SNAPSHOT_LAYOUTS.includes(layout) ? layout : 'masonry';
+
+  if (mode === 'spotlight' && kudos.length) {
+    const [hero, ...rest] = kudos;
+    const stacked = contentWidth < 760;
+    const heroWidth = stacked ? contentWidth : Math.round(contentWidth * 0.56);
+    const heroCard = layoutCard(hero, heroWidth, CARD_STYLES.spotlight, referenceLabel(hero));
+    const cards = heroCard.height <= bottom - top ? [{ ...heroCard, x: margin, y: top }] : [];
+    const sideStyle = CARD_STYLES.compact;
+    const sideLeft = stacked ? margin : margin + heroWidth + CARD_STYLES.spotlight.gap;
+    const sideTop = stacked ? top + heroCard.height + sideStyle.gap : top;
+    const sideWidth = stacked ? contentWidth : contentWidth - heroWidth - CARD_STYLES.spotlight.gap;
+    const columns = columnsFor(sideWidth, sideStyle);
+    const columnWidth = (sideWidth - (columns - 1) * sideStyle.gap) / columns;
+    if (cards.length) {
+      cards.push(...placeColumns(
+        rest.map((entry) => layoutCard(entry, columnWidth, sideStyle, referenceLabel(entry))),
+        { left: sideLeft, top: sideTop, bottom, columns, columnWidth, gap: sideStyle.gap },
+      ));
+    }
+    return { header, cards, mode };
+  }
+
+  const style = CARD_STYLES[mode === 'spotlight' ? 'masonry' : mode];
+  const columns = columnsFor(contentWidth, style);
+  const columnWidth = (contentWidth - (columns - 1) * style.gap) / columns;
+  const items = kudos.map((entry) => layoutCard(entry, columnWidth, style, referenceLabel(entry)));
+
+  if (mode === 'compact') {
+    // Compact keeps rows aligned: every card in a row takes the tallest height.
+    const cards = [];
+    let y = top;
+    for (let start = 0; start < items.length; start += columns) {
+      const row = items.slice(start, start + columns);
+      const rowHeight = Math.max(...row.map((item) => item.height));
+      if (y + rowHeight > bottom) break;
+      row.forEach((item, column) => {
+        cards.push({ ...item, height: rowHeight, x: margin + column * (columnWidth + style.gap), y });
+      });
+      y += rowHeight + style.gap;
+    }
+    return { header, cards, mode };
+  }
+
+  return {
+    header,
+    cards: placeColumns(items, { left: margin, top, bottom, columns, columnWidth, gap: style.gap }),
+    mode,
+  };
+}
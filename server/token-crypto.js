@@ -0,0 +1,51 @@
+import crypto from 'node:crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc1';
+
+// Keys come as `id:base64key` pairs, newest first. New values are always
+// sealed with the first key; older keys stay around only to decrypt until
+// every stored value has been re-encrypted.
+export function parseTokenKeys(value) {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, encoded] = entry.split(':');
+      const key = Buffer.from(encoded || '', 'base64');
+      if (!id || key.length !== 32) {
+        throw new Error(`Token key "${id || entry}" must be "id:<32 bytes base64>".`);
+      }
+      return { id, key };
+    });
+}
+
+export function createTokenCipher(keys) {
+  if (!keys.length) throw new Error('At least one token key is required.');
+  const [active] = keys;
+  const byId = new Map(keys.map((entry) => [entry.id, entry.key]));
+
+  function encrypt(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, active.key, iv);
+    const data = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+    return [PREFIX, active.id, iv, cipher.getAuthTag(), data]
+      .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+      .join(':');
+  }
+
+  function decrypt(sealed) {
+    const [prefix, id, iv, tag, data] = String(sealed || '').split(':');
+    if (prefix !== PREFIX || !byId.has(id)) throw new Error('Unknown token key.');
+    const decipher = crypto.createDecipheriv(ALGORITHM, byId.get(id), Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+  }
+
+  function isCurrent(sealed) {
+    return String(sealed || '').startsWith(`${PREFIX}:${active.id}:`);
+  }
+
+  return { encrypt, decrypt, isCurrent };
+}
@@ -2,20 +2,22 @@ import { useEffect, useMemo, useRef, useState } from 'react';
 
 const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 
-const TAGS = [
-  'docs',
-  'bugfix',
-  'refactor',
-  'design',
-  'mentoring',
-  'community',
-  'tooling',
-  'testing',
-];
+// Mirrors the server's default taxonomy; walls can rename, recolor and extend it.
+const DEFAULT_TAGS = [
+  { slug: 'docs', label: 'Docs', color: '#2b7a78' },
+  { slug: 'bugfix', label: 'Bugfix', color: '#ef476f' },
+  { slug: 'refactor', label: 'Refactor', color: '#6f5cff' },
+  { slug: 'design', label: 'Design', color: '#ff6a3d' },
+  { slug: 'mentoring', label: 'Mentoring', color: '#f4b400' },
+  { slug: 'community', label: 'Community', color: '#e2522a' },
+  { slug: 'tooling', label: 'Tooling', color: '#5d5a56' },
+  { slug: 'testing', label: 'Testing', color: '#118ab2' },
+].map((tag, order) => ({ ...tag, description: '', order }));
 
 const THEME_OPTIONS = [
   { id: 'warm', label: 'Warm' },
   { id: 'midnight', label: 'Midnight' },
+  { id: 'auto', label: 'Auto (light/dark)' },
 ];
 
 const ACCENTS = ['#ff6a3d', '#2b7a78', '#6f5cff', '#f4b400', '#ef476f'];
@@ -23,6 +25,29 @@ const ACCENTS = ['#ff6a3d', '#2b7a78', '#6f5cff', '#f4b400', '#ef476f'];
 const LAYOUTS = [
   { id: 'masonry', label: 'Masonry' },
   { id: 'compact', label: 'Compact' },
+  { id: 'list', label: 'List' },
+  { id: 'spotlight', label: 'Spotlight' },
+];
+
+const CAROUSEL_TRANSITIONS = [
+  { id: 'fade', label: 'Fade' },
+  { id: 'slide', label: 'Slide' },
+  { id: 'none', label: 'Cut' },
+];
+
+const BADGE_METRICS = [
+  { id: 'kudos', label: 'Kudos' },
+  { id: 'week', label: 'This week' },
+  { id: 'contributors', label: 'Contributors' },
+  { id: 'cheers', label: 'Cheers' },
+];
+
+const BADGE_STYLES = ['flat', 'flat-square', 'for-the-badge'];
+
+const SNAPSHOT_SIZES = [
+  { id: 'banner', label: 'README banner', width: 1200, height: 630 },
+  { id: 'square', label: 'Square card', width: 1080, height: 1080 },
+  { id: 'sidebar', label: 'Tall sidebar', width: 420, height: 1200 },
 ];
 
 const BACKGROUNDS = [
@@ -32,12 +57,25 @@ const BACKGROUNDS = [
   { id: 'neon', label: 'Neon' },
 ];
 
+// Lowest first; each role can do everything the ones before it can.
+const WALL_ROLES = [
+  { id: 'viewer', label: 'Viewer', description: 'Nominates like any signed-in visitor. Use it to limit a collaborator.' },
+  { id: 'moderator', label: 'Moderator', description: 'Reviews the queue and edits or removes kudos.' },
+  { id: 'editor', label: 'Editor', description: 'Posts kudos directly, curates tags, pins and the look of the wall.' },
+  { id: 'owner', label: 'Owner', description: 'Manages members, invites, the webhook and the GitHub App.' },
+];
+
 const PALETTES = [
   { id: 'warm-sunrise', label: 'Warm Sunrise', accent: '#ff6a3d', titleColor: '#161515', subtitleColor: '#5d5a56', cardTextColor: '#161515', cardSubtextColor: '#5d5a56' },
   { id: 'midnight-neon', label: 'Midnight Neon', accent: '#6f5cff', titleColor: '#f5f5f5', subtitleColor: '#c5c5c5', cardTextColor: '#f5f5f5', cardSubtextColor: '#c5c5c5' },
   { id: 'ocean-mist', label: 'Ocean Mist', accent: '#2b7a78', titleColor: '#113d3b', subtitleColor: '#5d5a56', cardTextColor: '#161515', cardSubtextColor: '#5d5a56' },
 ];
 
+function hasRole(role, minimum) {
+  const rank = WALL_ROLES.findIndex((entry) => entry.id === role);
+  return rank >= 0 && rank >= WALL_ROLES.findIndex((entry) => entry.id === minimum);
+}
+
 function formatDate(value) {
   const date = new Date(value);
   if (Number.isNaN(date.getTime())) return '';
@@ -53,6 +91,33 @@ function getInitials(name = '') {
     .join('') || 'C';
 }
 
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function Highlight({ text = '', query = '' }) {
+  const terms = query
+    .split(/\s+/)
+    .map((term) => term.replace(/^-|"/g, ''))
+    .filter(Boolean);
+  if (!terms.length || !text) return text;
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).map((part, index) => (
+    index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+  ));
+}
+
+function TagOptions({ tags, current }) {
+  const options = current && !tags.some((tag) => tag.slug === current)
+    ? [{ slug: current, label: current }, ...tags]
+    : tags;
+  return options.map((tag) => (
+    <option key={tag.slug} value={tag.slug}>
+      #{tag.slug}
+    </option>
+  ));
+}
+
 function KudosAvatar({ name, avatarUrl }) {
   const [loaded, setLoaded] = useState(false);
 
@@ -108,51 +173,172 @@ function parseProject(path) {
   return { owner: match[1], repo: match[2] };
 }
 
+function parseEmbed(path) {
+  const match = path.match(/^\/embed\/([^/]+)\/([^/]+)$/);
+  if (!match) return null;
+  return { owner: match[1], repo: match[2] };
+}
+
+// The session itself lives in an httpOnly cookie the page can't read. `token`
+// is that session's CSRF token: held only in memory, truthy while signed in,
+// and echoed as X-CSRF-Token on API calls.
 function useAuth() {
-  const [token, setToken] = useState(() => localStorage.getItem('gratitude_token') || '');
+  const [token, setToken] = useState('');
   const [user, setUser] = useState(null);
 
-  useEffect(() => {
-    if (token) return;
-    const query = new URLSearchParams(window.location.search);
-    const hash = window.location.hash ? new URLSearchParams(window.location.hash.replace(/^#/, '')) : null;
-    const nextToken = query.get('token') || query.get('access_token') || hash?.get('token') || hash?.get('access_token');
-    if (nextToken) {
-      localStorage.setItem('gratitude_token', nextToken);
-      setToken(nextToken);
-      window.history.replaceState({}, '', window.location.pathname || '/');
-    }
-  }, [token]);
-
-  const loadMe = async (nextToken = token) => {
-    if (!nextToken) return;
-    const response = await fetch(`${API_BASE}/me`, {
-      headers: { Authorization: `Bearer ${nextToken}` },
-    });
-    if (!response.ok) {
-      localStorage.removeItem('gratitude_token');
+  const loadMe = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/me`, { credentials: 'include' });
+      if (!response.ok) throw new Error('Not signed in');
+      const data = await response.json();
+      setToken(data.csrf_token || '');
+      setUser(data);
+      return true;
+    } catch {
       setToken('');
       setUser(null);
-      return;
+      return false;
     }
-    const data = await response.json();
-    setUser(data);
   };
 
   useEffect(() => {
+    // Bearer tokens from older builds are no longer accepted by the API.
+    localStorage.removeItem('gratitude_token');
     loadMe();
-  }, [token]);
+  }, []);
 
-  const logout = () => {
-    localStorage.removeItem('gratitude_token');
+  // Revokes the session server-side first; the local state is dropped even if
+  // that request fails so the UI never stays signed in.
+  const logout = async ({ revokeGithub = false } = {}) => {
+    try {
+      await fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': token },
+        body: JSON.stringify({ revoke_github: revokeGithub }),
+      });
+    } catch {
+      // ignore
+    }
     setToken('');
     setUser(null);
   };
 
-  return { token, setToken, user, logout, loadMe };
+  return { token, user, logout, loadMe };
 }
 
-function UserMenu({ user, onLogout }) {
+function AccountPanel({ token }) {
+  const [sessions, setSessions] = useState([]);
+  const [apiTokens, setApiTokens] = useState([]);
+  const [tokenName, setTokenName] = useState('');
+  const [created, setCreated] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const request = async (path, method = 'GET', body) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/auth${path}`, {
+        method,
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Request failed.');
+      return data;
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const load = async () => {
+    const [sessionRows, tokenRows] = await Promise.all([request('/sessions'), request('/tokens')]);
+    if (sessionRows) setSessions(sessionRows);
+    if (tokenRows) setApiTokens(tokenRows);
+  };
+
+  useEffect(() => {
+    load();
+  }, [token]);
+
+  const signOutSession = async (id) => {
+    if (await request(`/sessions/${id}`, 'DELETE')) setSessions((prev) => prev.filter((session) => session.id !== id));
+  };
+
+  const signOutOthers = async () => {
+    if (await request('/sessions/sign-out-others', 'POST')) setSessions((prev) => prev.filter((session) => session.current));
+  };
+
+  const createToken = async (event) => {
+    event.preventDefault();
+    const data = await request('/tokens', 'POST', { name: tokenName });
+    if (!data) return;
+    const { token: secret, ...row } = data;
+    setCreated(secret);
+    setTokenName('');
+    setApiTokens((prev) => [row, ...prev]);
+  };
+
+  const revokeToken = async (id) => {
+    if (await request(`/tokens/${id}`, 'DELETE')) setApiTokens((prev) => prev.filter((row) => row.id !== id));
+  };
+
+  return (
+    <div className="account-panel">
+      <div className="custom-label">Sessions</div>
+      <ul className="account-list">
+        {sessions.map((session) => (
+          <li key={session.id}>
+            <div>
+              <strong>{session.device}</strong>
+              <span>{session.current ? 'This device' : `Last used ${formatDate(session.last_used_at)}`}</span>
+            </div>
+            {!session.current && (
+              <button className="ghost" onClick={() => signOutSession(session.id)} disabled={busy}>Sign out</button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {sessions.length > 1 && (
+        <button className="secondary" onClick={signOutOthers} disabled={busy}>Sign out other sessions</button>
+      )}
+
+      <div className="custom-label">API tokens</div>
+      {created && (
+        <div className="account-token">
+          <span>Copy this token now, it won’t be shown again.</span>
+          <code>{created}</code>
+        </div>
+      )}
+      <ul className="account-list">
+        {apiTokens.map((row) => (
+          <li key={row.id}>
+            <div>
+              <strong>{row.name}</strong>
+              <span>{row.prefix}… · {row.last_used_at ? `used ${formatDate(row.last_used_at)}` : 'never used'}</span>
+            </div>
+            <button className="ghost" onClick={() => revokeToken(row.id)} disabled={busy}>Revoke</button>
+          </li>
+        ))}
+      </ul>
+      <form className="account-form" onSubmit={createToken}>
+        <input value={tokenName} onChange={(event) => setTokenName(event.target.value)} placeholder="Token name, e.g. release-bot" maxLength={60} />
+        <button className="secondary" type="submit" disabled={busy || !tokenName.trim()}>Create</button>
+      </form>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+function UserMenu({ user, token, onLogout, onConnect }) {
   const [open, setOpen] = useState(false);
 
   useEffect(() => {
@@ -182,7 +368,17 @@ function UserMenu({ user, onLogout }) {
                 <div className="user-modal-login">@{user.login}</div>
               </div>
             </div>
-            <button className="primary" onClick={onLogout}>Log out</button>
+            {user.github_connected === false && (
+              <>
+                <div className="user-modal-warning">GitHub access expired or was revoked.</div>
+                <button className="primary" onClick={onConnect}>Reconnect GitHub</button>
+              </>
+            )}
+            <button className={user.github_connected === false ? 'secondary' : 'primary'} onClick={() => onLogout()}>Log out</button>
+            {user.github_connected !== false && (
+              <button className="ghost" onClick={() => onLogout({ revokeGithub: true })}>Log out and revoke GitHub access</button>
+            )}
+            <AccountPanel token={token} />
           </div>
         </div>
       )}
@@ -190,14 +386,14 @@ function UserMenu({ user, onLogout }) {
   );
 }
 
-function Hero({ onConnect, user, onLogout }) {
+function Hero({ onConnect, user, token, onLogout }) {
   return (
     <header className="hero">
       <div className="hero-top">
         <span className="pill">Maintainer Verified</span>
         <div className="hero-actions">
           {user ? (
-            <UserMenu user={user} onLogout={onLogout} />
+            <UserMenu user={user} token={token} onLogout={onLogout} onConnect={onConnect} />
           ) : (
             <button className="primary" onClick={onConnect}>Connect GitHub</button>
           )}
@@ -210,9 +406,9 @@ function Hero({ onConnect, user, onLogout }) {
             A dedicated, project‑scoped wall to celebrate contributors. Maintainers authenticate with GitHub, create their wall, and share kudos that truly count.
           </p>
           <div className="hero-tags">
-            {TAGS.map((tag) => (
-              <span key={tag} className="tag">
-                #{tag}
+            {DEFAULT_TAGS.map((tag) => (
+              <span key={tag.slug} className="tag">
+                #{tag.slug}
               </span>
             ))}
           </div>
@@ -234,28 +430,18 @@ function Hero({ onConnect, user, onLogout }) {
   );
 }
 
-function AuthCallback({ onToken, onConnect }) {
+// The API normally sends users straight back to the page they started from;
+// this route only sees sign-in errors and hosts that rewrite to it.
+function AuthCallback({ onSignedIn, onConnect }) {
   const [status, setStatus] = useState({ state: 'working', message: 'Securing your session…' });
 
   useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    let token = params.get('token') || params.get('access_token');
-    let error = params.get('error');
-    if (!token && window.location.hash) {
-      const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ''));
-      token = hashParams.get('token') || hashParams.get('access_token') || token;
-      error = error || hashParams.get('error');
-    }
-    if (token) {
-      localStorage.setItem('gratitude_token', token);
-      onToken(token);
-      window.history.replaceState({}, '', '/');
-      return;
-    }
+    const error = new URLSearchParams(window.location.search).get('error');
     if (error) {
-      setStatus({ state: 'error', message: decodeURIComponent(error) });
-      return;
+      setStatus({ state: 'error', message: error });
+      return undefined;
     }
+    onSignedIn();
 
     const timeout = setTimeout(() => {
       setStatus({
@@ -265,7 +451,7 @@ function AuthCallback({ onToken, onConnect }) {
     }, 6000);
 
     return () => clearTimeout(timeout);
-  }, [onToken]);
+  }, []);
 
   return (
     <div className="loading-shell">
@@ -308,16 +494,19 @@ function RepoPicker({ token, onConnect, onCreateWall, creating, error, user, onL
   const [loading, setLoading] = useState(false);
   const [query, setQuery] = useState('');
   const [selected, setSelected] = useState(null);
+  const [reconnect, setReconnect] = useState(false);
 
   const loadRepos = async () => {
     if (!token) return;
     setLoading(true);
     try {
       const response = await fetch(`${API_BASE}/github/repos`, {
-        headers: { Authorization: `Bearer ${token}` },
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': token },
       });
-      if (!response.ok) throw new Error('Unable to load repos');
       const data = await response.json();
+      setReconnect(data?.code === 'github_reconnect');
+      if (!response.ok) throw new Error('Unable to load repos');
       setRepos(data);
     } catch {
       // ignore
@@ -343,7 +532,7 @@ function RepoPicker({ token, onConnect, onCreateWall, creating, error, user, onL
         <div className="repo-stage-title">Let’s deploy your gratitude wall…</div>
         <div className="repo-stage-actions">
           {user ? (
-            <UserMenu user={user} onLogout={onLogout} />
+            <UserMenu user={user} token={token} onLogout={onLogout} onConnect={onConnect} />
           ) : (
             <button className="primary" onClick={onConnect}>Connect GitHub</button>
           )}
@@ -415,6 +604,12 @@ function RepoPicker({ token, onConnect, onCreateWall, creating, error, user, onL
               </div>
             </>
           )}
+          {reconnect && (
+            <div className="error reconnect-notice">
+              <span>GitHub access expired or was revoked.</span>
+              <button className="secondary" onClick={onConnect}>Reconnect GitHub</button>
+            </div>
+          )}
           {error && <div className="error">{error}</div>}
         </div>
 
@@ -428,17 +623,949 @@ function RepoPicker({ token, onConnect, onCreateWall, creating, error, user, onL
   );
 }
 
-function ProjectWall({ project, token, user, onLogout }) {
+function toDateInput(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function PullRequestDrafts({ projectKey, token, tags, onPosted }) {
+  const [range, setRange] = useState(() => ({
+    since: toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+    until: toDateInput(new Date()),
+    unthanked: true,
+  }));
+  const [pulls, setPulls] = useState([]);
+  const [truncated, setTruncated] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [posting, setPosting] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadPulls = async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const params = new URLSearchParams({ since: range.since, until: range.until });
+      if (range.unthanked) params.set('unthanked', '1');
+      const response = await fetch(`${API_BASE}/projects/${projectKey}/pulls/merged?${params.toString()}`, {
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': token },
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to load pull requests.');
+      setPulls(data.pulls);
+      setTruncated(data.truncated);
+      setSelected([]);
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleSelected = (number) => {
+    setSelected((prev) => (prev.includes(number) ? prev.filter((value) => value !== number) : [...prev, number]));
+  };
+
+  const createDrafts = () => {
+    const existing = new Set(drafts.map((draft) => draft.pr.number));
+    const next = pulls
+      .filter((pull) => selected.includes(pull.number) && !existing.has(pull.number))
+      .map((pull) => ({
+        name: pull.author.name || pull.author.login,
+        handle: pull.author.login ? `@${pull.author.login}` : '',
+        avatar_url: pull.author.avatar_url,
+        tag: pull.tag,
+        message: `Thank you for “${pull.title}” (#${pull.number})!`,
+        pr: { number: pull.number, url: pull.url, title: pull.title },
+      }));
+    setDrafts((prev) => [...prev, ...next]);
+    setSelected([]);
+  };
+
+  const updateDraft = (number, patch) => {
+    setDrafts((prev) => prev.map((draft) => (draft.pr.number === number ? { ...draft, ...patch } : draft)));
+  };
+
+  const discardDraft = (number) => {
+    setDrafts((prev) => prev.filter((draft) => draft.pr.number !== number));
+  };
+
+  const postDraft = async (draft) => {
+    setPosting(draft.pr.number);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${projectKey}/kudos`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: JSON.stringify({
+          name: draft.name.trim(),
+          handle: draft.handle.trim(),
+          tag: draft.tag,
+          message: draft.message.trim(),
+          avatar_url: draft.avatar_url,
+          pr: draft.pr,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to send kudos.');
+      discardDraft(draft.pr.number);
+      setPulls((prev) => prev.map((pull) => (pull.number === draft.pr.number ? { ...pull, thanked: true } : pull)));
+      await onPosted();
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setPosting(null);
+    }
+  };
+
+  return (
+    <section className="pr-drafts">
+      <div>
+        <h3>Draft from merged pull requests</h3>
+        <p>Pick merged PRs and turn them into prefilled kudos. Each PR can only be thanked once.</p>
+      </div>
+      <div className="pr-toolbar">
+        <label>
+          Merged since
+          <input type="date" value={range.since} onChange={(event) => setRange((prev) => ({ ...prev, since: event.target.value }))} />
+        </label>
+        <label>
+          Until
+          <input type="date" value={range.until} onChange={(event) => setRange((prev) => ({ ...prev, until: event.target.value }))} />
+        </label>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={range.unthanked}
+            onChange={(event) => setRange((prev) => ({ ...prev, unthanked: event.target.checked }))}
+          />
+          Not yet thanked
+        </label>
+        <button className="secondary" onClick={loadPulls} disabled={loading}>
+          {loading ? 'Loading…' : 'Find PRs'}
+        </button>
+      </div>
+      {truncated && (
+        <div className="notice">This range has more pull requests than can be checked at once. Narrow the dates to see the rest.</div>
+      )}
+      {pulls.length > 0 && (
+        <div className="pr-list">
+          {pulls.map((pull) => (
+            <label key={pull.number} className={`pr-row ${pull.thanked ? 'thanked' : ''}`}>
+              <input
+                type="checkbox"
+                checked={selected.includes(pull.number)}
+                onChange={() => toggleSelected(pull.number)}
+                disabled={pull.thanked}
+              />
+              <KudosAvatar name={pull.author.name} avatarUrl={pull.author.avatar_url} />
+              <span className="pr-row-main">
+                <span className="pr-row-title">#{pull.number} {pull.title}</span>
+                <span className="pr-row-sub">
+                  @{pull.author.login} • merged {formatDate(pull.merged_at)} • #{pull.tag}{pull.thanked ? ' • thanked' : ''}
+                </span>
+              </span>
+            </label>
+          ))}
+        </div>
+      )}
+      {!loading && pulls.length === 0 && <div className="card-history-empty">No merged pull requests loaded yet.</div>}
+      {selected.length > 0 && (
+        <button className="primary" onClick={createDrafts}>
+          Draft {selected.length} kudos
+        </button>
+      )}
+      {drafts.map((draft) => (
+        <div key={draft.pr.number} className="pr-draft">
+          <div className="pr-draft-head">
+            <a href={draft.pr.url} target="_blank" rel="noreferrer">#{draft.pr.number} {draft.pr.title}</a>
+          </div>
+          <div className="form-row">
+            <input value={draft.name} onChange={(event) => updateDraft(draft.pr.number, { name: event.target.value })} />
+            <input value={draft.handle} onChange={(event) => updateDraft(draft.pr.number, { handle: event.target.value })} />
+            <select value={draft.tag} onChange={(event) => updateDraft(draft.pr.number, { tag: event.target.value })}>
+              <TagOptions tags={tags} current={draft.tag} />
+            </select>
+          </div>
+          <textarea
+            rows="2"
+            value={draft.message}
+            onChange={(event) => updateDraft(draft.pr.number, { message: event.target.value })}
+          />
+          <div className="card-actions">
+            <button className="primary" onClick={() => postDraft(draft)} disabled={posting === draft.pr.number}>
+              {posting === draft.pr.number ? 'Sending…' : 'Send Kudos'}
+            </button>
+            <button className="ghost" onClick={() => discardDraft(draft.pr.number)}>Discard</button>
+          </div>
+        </div>
+      ))}
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+function GithubAppStatus({ projectKey, token, status, onChange }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const recheck = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${projectKey}/github-app`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': token },
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to check the installation.');
+      onChange(data);
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <section className="customize">
+      <div>
+        <h3>GitHub App</h3>
+        <p>
+          {status.installed
+            ? 'The app is installed on this repository, so permission checks and PR lookups use its short-lived tokens instead of your account.'
+            : 'Install the app on this repository to stop relying on your personal GitHub access for permission checks and PR lookups.'}
+        </p>
+      </div>
+      <div className="card-actions">
+        {!status.installed && status.install_url && (
+          <a className="primary" href={status.install_url} target="_blank" rel="noreferrer">Install GitHub App</a>
+        )}
+        <button className="secondary" onClick={recheck} disabled={busy}>{busy ? 'Checking…' : 'Check installation'}</button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+function WebhookSettings({ projectKey, token, onDelivered }) {
+  const [config, setConfig] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+  const [revealed, setRevealed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const request = async (path, options = {}) => {
+    const response = await fetch(`${API_BASE}/projects/${projectKey}${path}`, {
+      ...options,
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': token,
+      },
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data?.error || 'Request failed.');
+    return data;
+  };
+
+  const load = async () => {
+    setError('');
+    try {
+      const [nextConfig, nextDeliveries] = await Promise.all([
+        request('/webhook'),
+        request('/webhook/deliveries'),
+      ]);
+      setConfig(nextConfig);
+      setDeliveries(nextDeliveries);
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [projectKey, token]);
+
+  const save = async (patch) => {
+    setBusy(true);
+    setError('');
+    try {
+      const data = await request('/webhook', { method: 'PATCH', body: JSON.stringify(patch) });
+      setConfig(data);
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const redeliver = async (id) => {
+    setBusy(true);
+    setError('');
+    try {
+      await request(`/webhook/deliveries/${id}/redeliver`, { method: 'POST' });
+      setDeliveries(await request('/webhook/deliveries'));
+      await onDelivered();
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyText = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+    } catch {
+      // ignore
+    }
+  };
+
+  if (!config) {
+    return (
+      <section className="customize">
+        <div className="empty">Loading webhook settings…</div>
+        {error && <div className="error">{error}</div>}
+      </section>
+    );
+  }
+
+  return (
+    <section className="customize">
+      <div>
+        <h3>GitHub webhook</h3>
+        <p>
+          Add this webhook to the repository (content type <code>application/json</code>, “Pull requests” events) and merged PRs
+          will draft kudos into the moderation queue automatically.
+        </p>
+      </div>
+      <div className="link-box">
+        <div className="link-row">
+          <span>{config.url}</span>
+          <button className="secondary" onClick={() => copyText(config.url)}>Copy URL</button>
+        </div>
+        <div className="link-row">
+          <span>{revealed ? config.secret : '•'.repeat(24)}</span>
+          <div className="card-actions">
+            <button className="ghost" onClick={() => setRevealed((prev) => !prev)}>{revealed ? 'Hide' : 'Reveal'}</button>
+            <button className="secondary" onClick={() => copyText(config.secret)}>Copy secret</button>
+          </div>
+        </div>
+      </div>
+      <div className="customize-controls">
+        <div className="custom-group">
+          <div className="custom-label">Rules</div>
+          <div className="custom-options">
+            <button
+              className={`pill-btn ${config.rules.merged_prs ? 'active' : ''}`}
+              onClick={() => save({ rules: { ...config.rules, merged_prs: !config.rules.merged_prs } })}
+              disabled={busy}
+            >
+              Every merged PR
+            </button>
+            <button
+              className={`pill-btn ${config.rules.first_time ? 'active' : ''}`}
+              onClick={() => save({ rules: { ...config.rules, first_time: !config.rules.first_time } })}
+              disabled={busy}
+            >
+              Welcome first-time contributors
+            </button>
+          </div>
+        </div>
+        <div className="custom-group">
+          <div className="custom-label">Publishing</div>
+          <div className="custom-options">
+            <button
+              className={`pill-btn ${!config.auto_publish ? 'active' : ''}`}
+              onClick={() => save({ auto_publish: false })}
+              disabled={busy}
+            >
+              Draft to queue
+            </button>
+            <button
+              className={`pill-btn ${config.auto_publish ? 'active' : ''}`}
+              onClick={() => save({ auto_publish: true })}
+              disabled={busy}
+            >
+              Publish directly
+            </button>
+            <button className="ghost" onClick={() => save({ rotate_secret: true })} disabled={busy}>Rotate secret</button>
+          </div>
+        </div>
+      </div>
+      <div className="custom-group">
+        <div className="custom-label">Recent deliveries</div>
+        {config.signature_failures > 0 && (
+          <div className="error">
+            {config.signature_failures} request{config.signature_failures === 1 ? '' : 's'} rejected for a bad signature, last on{' '}
+            {new Date(config.last_signature_failure_at).toLocaleString()}. Check that GitHub uses the current secret.
+          </div>
+        )}
+        {deliveries.length === 0 ? (
+          <div className="card-history-empty">No deliveries yet. Use “Redeliver” on GitHub or replay a payload locally with <code>npm run replay-webhook</code>.</div>
+        ) : (
+          <div className="delivery-list">
+            {deliveries.map((delivery) => (
+              <div key={delivery.id} className={`delivery-row ${delivery.status}`}>
+                <span className="delivery-status">{delivery.status}</span>
+                <span className="delivery-main">
+                  <span>{delivery.event}{delivery.action ? `.${delivery.action}` : ''}{delivery.redelivery ? ' (replay)' : ''}</span>
+                  <span className="pr-row-sub">{delivery.message} • {new Date(delivery.created_at).toLocaleString()}</span>
+                </span>
+                {delivery.status !== 'processed' && delivery.event && (
+                  <button className="ghost" onClick={() => redeliver(delivery.id)} disabled={busy}>Redeliver</button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        <button className="ghost" onClick={load} disabled={busy}>Refresh log</button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+function WallMembers({ projectKey, token, currentUserId }) {
+  const [members, setMembers] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [inviteForm, setInviteForm] = useState({ role: 'moderator', login: '' });
+  const [pinForm, setPinForm] = useState({ role: 'viewer', login: '' });
+  const [created, setCreated] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const request = async (path, method = 'GET', body) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${projectKey}${path}`, {
+        method,
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Request failed.');
+      return data;
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const load = async () => {
+    const data = await request('/members');
+    if (!data) return;
+    setMembers(data.members);
+    setInvites(data.invites);
+    setDefaults(data.github_defaults);
+  };
+
+  useEffect(() => {
+    load();
+  }, [projectKey, token]);
+
+  const changeRole = async (id, role) => {
+    const data = await request(`/members/${id}`, 'PATCH', { role });
+    if (data) setMembers((prev) => prev.map((member) => (member.id === id ? data : member)));
+  };
+
+  const removeMember = async (id) => {
+    if (await request(`/members/${id}`, 'DELETE')) setMembers((prev) => prev.filter((member) => member.id !== id));
+  };
+
+  const pinRole = async (event) => {
+    event.preventDefault();
+    const data = await request('/members', 'POST', pinForm);
+    if (!data) return;
+    setPinForm((prev) => ({ ...prev, login: '' }));
+    setMembers((prev) => [...prev.filter((member) => member.id !== data.id), data]);
+  };
+
+  const createInvite = async (event) => {
+    event.preventDefault();
+    const data = await request('/invites', 'POST', inviteForm);
+    if (!data) return;
+    const { url, ...row } = data;
+    setCreated(url);
+    setInviteForm((prev) => ({ ...prev, login: '' }));
+    setInvites((prev) => [...prev, row]);
+  };
+
+  const revokeInvite = async (id) => {
+    if (await request(`/invites/${id}`, 'DELETE')) setInvites((prev) => prev.filter((invite) => invite.id !== id));
+  };
+
+  const copyText = async (value) => {
+    try {
+      await navigator.clipboard.writeText(value);
+    } catch {
+      // ignore
+    }
+  };
+
+  return (
+    <section className="customize">
+      <div>
+        <h3>Members</h3>
+        <p>
+          Repo collaborators get a role from their GitHub permission
+          {Object.keys(defaults).length > 0 && ` (${Object.entries(defaults).map(([permission, role]) => `${permission} → ${role}`).join(', ')})`}.
+          Invite people without repo access, or pin a role here to override the default. Repo admins always stay owners.
+        </p>
+      </div>
+      <div className="custom-group">
+        <div className="custom-label">Roles</div>
+        <ul className="account-list">
+          {WALL_ROLES.map((role) => (
+            <li key={role.id}>
+              <div>
+                <strong>{role.label}</strong>
+                <span>{role.description}</span>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+      <div className="custom-group">
+        <div className="custom-label">Explicit members</div>
+        {members.length === 0 ? (
+          <div className="card-history-empty">Nobody yet. Everyone with access comes from GitHub.</div>
+        ) : (
+          <ul className="account-list">
+            {members.map((member) => (
+              <li key={member.id}>
+                <div>
+                  <strong>@{member.login}</strong>
+                  <span>
+                    {member.via === 'invite' ? 'Joined via invite' : member.via === 'creator' ? 'Created the wall' : 'Added'}
+                    {member.added_by && member.via !== 'creator' ? ` from @${member.added_by}` : ''} · {formatDate(member.added_at)}
+                  </span>
+                </div>
+                {member.id === String(currentUserId) ? (
+                  <span className="wall-count">{member.role} (you)</span>
+                ) : (
+                  <div className="card-actions">
+                    <select value={member.role} onChange={(event) => changeRole(member.id, event.target.value)} disabled={busy}>
+                      {WALL_ROLES.map((role) => (
+                        <option key={role.id} value={role.id}>{role.label}</option>
+                      ))}
+                    </select>
+                    <button className="ghost" onClick={() => removeMember(member.id)} disabled={busy}>Remove</button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <form className="account-form" onSubmit={pinRole}>
+          <input
+            value={pinForm.login}
+            onChange={(event) => setPinForm({ ...pinForm, login: event.target.value })}
+            placeholder="GitHub login"
+            maxLength={40}
+          />
+          <select value={pinForm.role} onChange={(event) => setPinForm({ ...pinForm, role: event.target.value })}>
+            {WALL_ROLES.map((role) => (
+              <option key={role.id} value={role.id}>{role.label}</option>
+            ))}
+          </select>
+          <button className="secondary" type="submit" disabled={busy || !pinForm.login.trim()}>Pin role</button>
+        </form>
+      </div>
+      <div className="custom-group">
+        <div className="custom-label">Invites</div>
+        {created && (
+          <div className="account-token">
+            <span>Send this link to the person you invited. It works once and expires in 7 days.</span>
+            <code>{created}</code>
+            <button className="secondary" onClick={() => copyText(created)}>Copy link</button>
+          </div>
+        )}
+        {invites.length > 0 && (
+          <ul className="account-list">
+            {invites.map((invite) => (
+              <li key={invite.id}>
+                <div>
+                  <strong>{invite.login ? `@${invite.login}` : 'Anyone with the link'} · {invite.role}</strong>
+                  <span>Expires {formatDate(invite.expires_at)}</span>
+                </div>
+                <button className="ghost" onClick={() => revokeInvite(invite.id)} disabled={busy}>Revoke</button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form className="account-form" onSubmit={createInvite}>
+          <input
+            value={inviteForm.login}
+            onChange={(event) => setInviteForm({ ...inviteForm, login: event.target.value })}
+            placeholder="GitHub login (optional)"
+            maxLength={40}
+          />
+          <select value={inviteForm.role} onChange={(event) => setInviteForm({ ...inviteForm, role: event.target.value })}>
+            {WALL_ROLES.map((role) => (
+              <option key={role.id} value={role.id}>{role.label}</option>
+            ))}
+          </select>
+          <button className="secondary" type="submit" disabled={busy}>Create invite</button>
+        </form>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+function slugifyPreset(value) {
+  return String(value || '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 30);
+}
+
+function sameParams(a = {}, b = {}) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((field) => String(a[field] ?? '') === String(b[field] ?? ''));
+}
+
+function SnapshotPresets({ projectKey, token, canEdit, presets, active, params, onChange, onSelect }) {
+  const [name, setName] = useState(active || '');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const slug = slugifyPreset(name);
+  const activePreset = presets.find((preset) => preset.slug === active);
+  const dirty = Boolean(activePreset) && !sameParams(activePreset.params, params);
+
+  useEffect(() => {
+    if (active) setName(active);
+  }, [active]);
+
+  const request = async (presetSlug, method, body) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${projectKey}/presets/${presetSlug}`, {
+        method,
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to update presets.');
+      return data;
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const savePreset = async (event) => {
+    event.preventDefault();
+    if (!slug) return;
+    const data = await request(slug, 'PUT', { params });
+    if (!data) return;
+    onChange(data.presets);
+    onSelect(data.preset);
+  };
+
+  const removePreset = async (presetSlug) => {
+    const data = await request(presetSlug, 'DELETE');
+    if (!data) return;
+    onChange(data.presets);
+    if (presetSlug === active) onSelect(null);
+  };
+
+  return (
+    <div className="custom-group">
+      <div className="custom-label">Snapshot presets</div>
+      <div className="custom-options">
+        {presets.length === 0 && <span className="preset-hint">No presets yet. Save one to get a short README URL.</span>}
+        {presets.map((preset) => (
+          <span key={preset.slug} className="preset-pill">
+            <button
+              className={`pill-btn ${preset.slug === active ? 'active' : ''}`}
+              onClick={() => onSelect(preset.slug === active ? null : preset)}
+            >
+              {preset.slug}
+            </button>
+            {canEdit && (
+              <button className="ghost" onClick={() => removePreset(preset.slug)} disabled={busy} aria-label={`Delete ${preset.slug}`}>
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+      </div>
+      {canEdit && (
+        <form className="custom-options" onSubmit={savePreset}>
+          <input
+            className="text-input"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="readme-dark"
+            aria-label="Preset name"
+            disabled={busy}
+          />
+          <button className="secondary" type="submit" disabled={busy || !slug}>
+            {presets.some((preset) => preset.slug === slug) ? 'Update preset' : 'Save as preset'}
+          </button>
+          {dirty && <span className="preset-hint">Unsaved changes to {active}</span>}
+        </form>
+      )}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+}
+
+function TagManager({ projectKey, token, tags, onChange }) {
+  const [drafts, setDrafts] = useState({});
+  const [mergeTargets, setMergeTargets] = useState({});
+  const [untracked, setUntracked] = useState([]);
+  const [newTag, setNewTag] = useState({ label: '', color: '#ff6a3d', description: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch(`${API_BASE}/projects/${projectKey}/tags`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!cancelled && data) setUntracked(data.untracked || []);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [projectKey]);
+
+  const request = async (path, method, body) => {
+    setBusy(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${projectKey}/tags${path}`, {
+        method,
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to update tags.');
+      if (data.untracked) setUntracked(data.untracked);
+      await onChange(data.tags, Boolean(data.rewritten));
+      return true;
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const draftFor = (tag) => drafts[tag.slug] || tag;
+
+  const updateDraft = (tag, patch) => {
+    setDrafts((prev) => ({ ...prev, [tag.slug]: { ...draftFor(tag), ...patch } }));
+  };
+
+  const saveTag = async (tag) => {
+    const draft = draftFor(tag);
+    const ok = await request(`/${tag.slug}`, 'PATCH', {
+      slug: draft.slug,
+      label: draft.label,
+      color: draft.color,
+      description: draft.description,
+    });
+    if (ok) setDrafts(({ [tag.slug]: _removed, ...rest }) => rest);
+  };
+
+  const move = (index, offset) => {
+    const next = tags.map((tag) => tag.slug);
+    const [slug] = next.splice(index, 1);
+    next.splice(index + offset, 0, slug);
+    request('/order', 'PUT', { slugs: next });
+  };
+
+  const addTag = async (event) => {
+    event.preventDefault();
+    if (!newTag.label.trim()) return;
+    if (await request('', 'POST', newTag)) setNewTag({ label: '', color: '#ff6a3d', description: '' });
+  };
+
+  return (
+    <section className="customize">
+      <div>
+        <h3>Impact tags</h3>
+        <p>Define the tags your wall uses. Renaming or merging a tag rewrites every kudos that uses it.</p>
+      </div>
+      <div className="tag-table">
+        {tags.map((tag, index) => {
+          const draft = draftFor(tag);
+          const dirty = Boolean(drafts[tag.slug]);
+          return (
+            <div key={tag.slug} className="tag-row">
+              <input
+                type="color"
+                value={draft.color}
+                onChange={(event) => updateDraft(tag, { color: event.target.value })}
+                disabled={busy}
+              />
+              <input
+                className="text-input"
+                value={draft.slug}
+                onChange={(event) => updateDraft(tag, { slug: event.target.value })}
+                aria-label="Slug"
+                disabled={busy}
+              />
+              <input
+                className="text-input"
+                value={draft.label}
+                onChange={(event) => updateDraft(tag, { label: event.target.value })}
+                aria-label="Label"
+                disabled={busy}
+              />
+              <input
+                className="text-input"
+                value={draft.description}
+                onChange={(event) => updateDraft(tag, { description: event.target.value })}
+                placeholder="Description"
+                disabled={busy}
+              />
+              <div className="card-actions">
+                <button className="ghost" onClick={() => move(index, -1)} disabled={busy || index === 0} aria-label="Move up">↑</button>
+                <button className="ghost" onClick={() => move(index, 1)} disabled={busy || index === tags.length - 1} aria-label="Move down">↓</button>
+                {dirty && <button className="primary" onClick={() => saveTag(tag)} disabled={busy}>Save</button>}
+                <select
+                  value={mergeTargets[tag.slug] || ''}
+                  onChange={(event) => setMergeTargets((prev) => ({ ...prev, [tag.slug]: event.target.value }))}
+                  disabled={busy}
+                >
+                  <option value="">Merge into…</option>
+                  {tags.filter((other) => other.slug !== tag.slug).map((other) => (
+                    <option key={other.slug} value={other.slug}>#{other.slug}</option>
+                  ))}
+                </select>
+                {mergeTargets[tag.slug] && (
+                  <button
+                    className="secondary"
+                    onClick={() => request(`/${tag.slug}/merge`, 'POST', { into: mergeTargets[tag.slug] })}
+                    disabled={busy}
+                  >
+                    Merge
+                  </button>
+                )}
+                <button className="ghost" onClick={() => request(`/${tag.slug}`, 'DELETE')} disabled={busy || tags.length === 1}>Delete</button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {untracked.length > 0 && (
+        <div className="tag-table">
+          <p>Used on kudos but not defined above. Add them as tags or merge them into one.</p>
+          {untracked.map((slug) => (
+            <div key={slug} className="tag-row">
+              <span>#{slug}</span>
+              <div className="card-actions">
+                <button className="ghost" onClick={() => request(`/${encodeURIComponent(slug)}`, 'PATCH', {})} disabled={busy}>Add as tag</button>
+                <select
+                  value={mergeTargets[slug] || ''}
+                  onChange={(event) => setMergeTargets((prev) => ({ ...prev, [slug]: event.target.value }))}
+                  disabled={busy}
+                >
+                  <option value="">Merge into…</option>
+                  {tags.map((other) => (
+                    <option key={other.slug} value={other.slug}>#{other.slug}</option>
+                  ))}
+                </select>
+                {mergeTargets[slug] && (
+                  <button
+                    className="secondary"
+                    onClick={() => request(`/${encodeURIComponent(slug)}/merge`, 'POST', { into: mergeTargets[slug] })}
+                    disabled={busy}
+                  >
+                    Merge
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <form className="tag-row" onSubmit={addTag}>
+        <input
+          type="color"
+          value={newTag.color}
+          onChange={(event) => setNewTag((prev) => ({ ...prev, color: event.target.value }))}
+        />
+        <input
+          className="text-input"
+          value={newTag.label}
+          onChange={(event) => setNewTag((prev) => ({ ...prev, label: event.target.value }))}
+          placeholder="New tag label"
+        />
+        <input
+          className="text-input"
+          value={newTag.description}
+          onChange={(event) => setNewTag((prev) => ({ ...prev, description: event.target.value }))}
+          placeholder="Description"
+        />
+        <button className="secondary" type="submit" disabled={busy || !newTag.label.trim()}>Add tag</button>
+      </form>
+      {error && <div className="error">{error}</div>}
+    </section>
+  );
+}
+
+function ProjectWall({ project, token, user, onLogout, onConnect }) {
   const [kudos, setKudos] = useState([]);
+  const [page, setPage] = useState({ total: 0, nextCursor: null });
+  const [loadingMore, setLoadingMore] = useState(false);
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [boosting, setBoosting] = useState(null);
   const [error, setError] = useState('');
   const [filters, setFilters] = useState({ sort: 'recent', tag: 'all', query: '' });
-  const [form, setForm] = useState({ name: '', handle: '', tag: 'docs', message: '' });
+  const [form, setForm] = useState({ name: '', handle: '', tag: 'docs', message: '', references: '' });
+  const [tags, setTags] = useState(DEFAULT_TAGS);
   const [arrange, setArrange] = useState(false);
   const [order, setOrder] = useState([]);
+  const [curatedOrder, setCuratedOrder] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [history, setHistory] = useState(null);
+  const [role, setRole] = useState(null);
+  const canModerate = hasRole(role, 'moderator');
+  const canEdit = hasRole(role, 'editor');
+  const isOwner = role === 'owner';
+  const [githubApp, setGithubApp] = useState(null);
+  const [reconnect, setReconnect] = useState(false);
+  const [inviteStatus, setInviteStatus] = useState(null);
+  const [nominations, setNominations] = useState([]);
+  const [moderating, setModerating] = useState(null);
+  const [notice, setNotice] = useState('');
   const [settings, setSettings] = useState({
     theme: 'warm',
     accent: '#ff6a3d',
@@ -454,12 +1581,77 @@ function ProjectWall({ project, token, user, onLogout }) {
   const [featuredIds, setFeaturedIds] = useState([]);
   const [snapshotLoading, setSnapshotLoading] = useState(true);
   const [snapshotVersion, setSnapshotVersion] = useState(0);
+  const [snapshotPreview, setSnapshotPreview] = useState('');
+  const [snapshotSize, setSnapshotSize] = useState({ ...SNAPSHOT_SIZES[0], count: 10 });
+  const [presets, setPresets] = useState([]);
+  const [activePreset, setActivePreset] = useState('');
+  const [badge, setBadge] = useState({ metric: 'kudos', style: 'flat' });
+  const [carousel, setCarousel] = useState({ enabled: false, pageSize: 3, dwell: 4, transition: 'fade' });
   const patchTimerRef = useRef(null);
+  const loadMoreRef = useRef(null);
+  const queryStringRef = useRef('');
   const [tab, setTab] = useState('overview');
 
   const key = `${project.owner}/${project.repo}`;
   const wallUrl = `${window.location.origin}/p/${project.owner}/${project.repo}`;
-  const snapshotUrl = `${API_BASE}/projects/${project.owner}/${project.repo}/snapshot.svg?theme=${settings.theme}&accent=${encodeURIComponent(settings.accent)}&background=${settings.background}&layout=${settings.layout}&title=${encodeURIComponent(settings.title)}&subtitle=${encodeURIComponent(settings.subtitle)}&titleColor=${encodeURIComponent(settings.titleColor)}&subtitleColor=${encodeURIComponent(settings.subtitleColor)}&cardTextColor=${encodeURIComponent(settings.cardTextColor)}&cardSubtextColor=${encodeURIComponent(settings.cardSubtextColor)}&v=${snapshotVersion}`;
+  const snapshotUrl = `${API_BASE}/projects/${project.owner}/${project.repo}/snapshot.svg?theme=${settings.theme}&accent=${encodeURIComponent(settings.accent)}&background=${settings.background}&layout=${settings.layout}&title=${encodeURIComponent(settings.title)}&subtitle=${encodeURIComponent(settings.subtitle)}&titleColor=${encodeURIComponent(settings.titleColor)}&subtitleColor=${encodeURIComponent(settings.subtitleColor)}&cardTextColor=${encodeURIComponent(settings.cardTextColor)}&cardSubtextColor=${encodeURIComponent(settings.cardSubtextColor)}&width=${snapshotSize.width}&height=${snapshotSize.height}&count=${snapshotSize.count}${carousel.enabled ? `&mode=carousel&pageSize=${carousel.pageSize}&dwell=${carousel.dwell}&transition=${carousel.transition}` : ''}`;
+  const badgeUrl = `${API_BASE}/projects/${project.owner}/${project.repo}/badge.svg?metric=${badge.metric}&style=${badge.style}`;
+  const badgeMarkdown = `[![Gratitude Wall](${badgeUrl})](${wallUrl})`;
+  const embedCode = `<script src="${window.location.origin}/embed.js" async></script>\n<gratitude-wall owner="${project.owner}" repo="${project.repo}" limit="12" sort="top"></gratitude-wall>`;
+  const presetParams = {
+    theme: settings.theme,
+    accent: settings.accent,
+    background: settings.background,
+    layout: settings.layout,
+    title: settings.title,
+    subtitle: settings.subtitle,
+    titleColor: settings.titleColor,
+    subtitleColor: settings.subtitleColor,
+    cardTextColor: settings.cardTextColor,
+    cardSubtextColor: settings.cardSubtextColor,
+    width: snapshotSize.width,
+    height: snapshotSize.height,
+    count: snapshotSize.count,
+    ...(carousel.enabled ? { mode: 'carousel', pageSize: carousel.pageSize, dwell: carousel.dwell, transition: carousel.transition } : {}),
+  };
+  // READMEs get the short preset URL when one is selected, so later edits to
+  // the preset reach every README that already embeds it.
+  const shareUrl = activePreset
+    ? `${API_BASE}/projects/${project.owner}/${project.repo}/snapshot.svg?preset=${activePreset}`
+    : snapshotUrl;
+  const snapshotImageUrl = (format, scale) => `${shareUrl.replace('/snapshot.svg?', `/snapshot.${format}?`)}&scale=${scale}`;
+  // The `auto` theme follows the OS color scheme, not the GitHub theme picker,
+  // so README markup pins each variant to an explicit palette instead.
+  const themedSnapshotUrl = (theme) => {
+    const url = new URL(shareUrl);
+    url.searchParams.set('theme', theme);
+    return url.toString();
+  };
+  const pictureMarkup = `<picture>\n  <source media="(prefers-color-scheme: dark)" srcset="${themedSnapshotUrl('midnight')}">\n  <img alt="Gratitude Wall" src="${themedSnapshotUrl('warm')}">\n</picture>`;
+  const themedMarkdown = `![Gratitude Wall](${themedSnapshotUrl('warm')}#gh-light-mode-only)\n![Gratitude Wall](${themedSnapshotUrl('midnight')}#gh-dark-mode-only)`;
+
+  const selectPreset = (preset) => {
+    if (!preset) {
+      setActivePreset('');
+      return;
+    }
+    const { params } = preset;
+    setActivePreset(preset.slug);
+    setSettings((prev) => ({
+      ...prev,
+      ...Object.fromEntries(Object.keys(prev).filter((field) => params[field]).map((field) => [field, params[field]])),
+    }));
+    const width = Number(params.width) || SNAPSHOT_SIZES[0].width;
+    const height = Number(params.height) || SNAPSHOT_SIZES[0].height;
+    const size = SNAPSHOT_SIZES.find((option) => option.width === width && option.height === height);
+    setSnapshotSize({ id: size?.id || 'custom', label: size?.label || 'Custom', width, height, count: Number(params.count) || 10 });
+    setCarousel({
+      enabled: params.mode === 'carousel',
+      pageSize: Number(params.pageSize) || 3,
+      dwell: Number(params.dwell) || 4,
+      transition: params.transition || 'fade',
+    });
+  };
 
   const queryString = useMemo(() => {
     const params = new URLSearchParams();
@@ -468,6 +1660,7 @@ function ProjectWall({ project, token, user, onLogout }) {
     if (filters.query) params.set('query', filters.query.trim());
     return params.toString();
   }, [filters]);
+  queryStringRef.current = queryString;
 
   const loadProject = async () => {
     const response = await fetch(`${API_BASE}/projects/${project.owner}/${project.repo}`);
@@ -481,6 +1674,13 @@ function ProjectWall({ project, token, user, onLogout }) {
         }));
       }
       if (data.featured_ids) setFeaturedIds(data.featured_ids);
+      if (data.tags?.length) setTags(data.tags);
+      if (data.snapshot_presets) setPresets(data.snapshot_presets);
+      if (data.github_app) setGithubApp(data.github_app);
+      if (data.curated_order?.length) {
+        setCuratedOrder(data.curated_order);
+        setFilters((prev) => (prev.sort === 'recent' ? { ...prev, sort: 'curated' } : prev));
+      }
     }
   };
 
@@ -488,23 +1688,91 @@ function ProjectWall({ project, token, user, onLogout }) {
     setLoading(true);
     setError('');
     try {
-      const response = await fetch(`${API_BASE}/projects/${key}/kudos?${queryString}`);
-      if (!response.ok) throw new Error('Unable to load kudos');
+      const response = await fetch(`${API_BASE}/projects/${key}/kudos?${queryString}`, {
+        credentials: 'include',
+        headers: token ? { 'X-CSRF-Token': token } : {},
+      });
+      if (!response.ok) throw new Error('Unable to load kudos');
+      const data = await response.json();
+      setKudos(data.items);
+      setPage({ total: data.total, nextCursor: data.next_cursor });
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const loadMoreKudos = async () => {
+    if (!page.nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    const requestQuery = queryString;
+    try {
+      const params = new URLSearchParams(requestQuery);
+      params.set('cursor', page.nextCursor);
+      const response = await fetch(`${API_BASE}/projects/${key}/kudos?${params.toString()}`, {
+        credentials: 'include',
+        headers: token ? { 'X-CSRF-Token': token } : {},
+      });
+      if (!response.ok) throw new Error('Unable to load more kudos');
+      const data = await response.json();
+      // Drop pages that belong to a filter set the user has since changed.
+      if (queryStringRef.current !== requestQuery) return;
+      setKudos((prev) => {
+        const seen = new Set(prev.map((item) => item.id));
+        return [...prev, ...data.items.filter((item) => !seen.has(item.id))];
+      });
+      setPage({ total: data.total, nextCursor: data.next_cursor });
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const loadStats = async () => {
+    try {
+      const response = await fetch(`${API_BASE}/projects/${key}/stats`);
+      if (!response.ok) throw new Error('Unable to load stats');
+      const data = await response.json();
+      setStats(data);
+    } catch {
+      // ignore
+    }
+  };
+
+  const loadViewer = async () => {
+    if (!token) {
+      setRole(null);
+      return;
+    }
+    try {
+      const response = await fetch(`${API_BASE}/projects/${key}/viewer`, {
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': token },
+      });
+      if (!response.ok) throw new Error('Unable to load permissions');
       const data = await response.json();
-      setKudos(data);
-    } catch (err) {
-      setError(err?.message || 'Something went wrong.');
-    } finally {
-      setLoading(false);
+      setRole(data.role || null);
+      setReconnect(Boolean(data.reconnect));
+    } catch {
+      setRole(null);
     }
   };
 
-  const loadStats = async () => {
+  const loadNominations = async () => {
+    if (!token || !canModerate) {
+      setNominations([]);
+      return;
+    }
     try {
-      const response = await fetch(`${API_BASE}/projects/${key}/stats`);
-      if (!response.ok) throw new Error('Unable to load stats');
+      const response = await fetch(`${API_BASE}/projects/${key}/nominations`, {
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': token },
+      });
+      if (!response.ok) throw new Error('Unable to load nominations');
       const data = await response.json();
-      setStats(data);
+      setNominations(data);
     } catch {
       // ignore
     }
@@ -514,14 +1782,83 @@ function ProjectWall({ project, token, user, onLogout }) {
     loadProject();
   }, [key]);
 
+  useEffect(() => {
+    loadViewer();
+  }, [key, token]);
+
+  // Invite links open the wall with ?invite=…; sign-in returns here with the
+  // query intact. Nothing is claimed until the visitor clicks Accept.
+  useEffect(() => {
+    if (!new URLSearchParams(window.location.search).get('invite')) return;
+    setInviteStatus(token
+      ? { message: 'You were invited to help run this wall.', pending: true }
+      : { message: 'You were invited to help run this wall. Sign in with GitHub to accept.', signIn: true });
+  }, [key, token]);
+
+  const closeInvite = () => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setInviteStatus(null);
+  };
+
+  const acceptInvite = async () => {
+    const invite = new URLSearchParams(window.location.search).get('invite');
+    setInviteStatus((prev) => ({ ...prev, busy: true }));
+    try {
+      const response = await fetch(`${API_BASE}/projects/${key}/invites/accept`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: JSON.stringify({ token: invite }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to accept the invite.');
+      setInviteStatus({
+        message: data.unchanged ? `You already have the ${data.role} role here, so the invite was left unused.` : `You joined this wall as ${data.role}.`,
+      });
+      await loadViewer();
+    } catch (err) {
+      setInviteStatus({ message: err?.message || 'Unable to accept the invite.', error: true });
+    } finally {
+      window.history.replaceState(null, '', window.location.pathname);
+    }
+  };
+
+  useEffect(() => {
+    if (tags.length && !tags.some((tag) => tag.slug === form.tag)) {
+      setForm((prev) => ({ ...prev, tag: tags[0].slug }));
+    }
+    if (filters.tag !== 'all' && !tags.some((tag) => tag.slug === filters.tag)) {
+      setFilters((prev) => ({ ...prev, tag: 'all' }));
+    }
+  }, [tags]);
+
+  const tagColors = useMemo(() => Object.fromEntries(tags.map((tag) => [tag.slug, tag.color])), [tags]);
+
+  useEffect(() => {
+    loadNominations();
+  }, [key, token, canModerate]);
+
   useEffect(() => {
     loadKudos();
-  }, [queryString, key]);
+  }, [queryString, key, token]);
 
   useEffect(() => {
     loadStats();
   }, [key]);
 
+  useEffect(() => {
+    const node = loadMoreRef.current;
+    if (!node || !page.nextCursor || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadMoreKudos();
+    }, { rootMargin: '400px' });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [page.nextCursor, loadingMore, tab, loading]);
+
   useEffect(() => {
     const stored = localStorage.getItem(`gratitude_order_${key}`);
     if (stored) {
@@ -555,25 +1892,32 @@ function ProjectWall({ project, token, user, onLogout }) {
     if (!form.name.trim() || !form.message.trim()) return;
     setSaving(true);
     setError('');
+    setNotice('');
     try {
-      const response = await fetch(`${API_BASE}/projects/${key}/kudos`, {
+      const response = await fetch(`${API_BASE}/projects/${key}/${canEdit ? 'kudos' : 'nominations'}`, {
         method: 'POST',
+        credentials: 'include',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
+          'X-CSRF-Token': token,
         },
         body: JSON.stringify({
           name: form.name.trim(),
           handle: form.handle.trim(),
           tag: form.tag,
           message: form.message.trim(),
+          references: form.references.split(/[\s,]+/).filter(Boolean),
         }),
       });
       if (!response.ok) {
         const data = await response.json();
         throw new Error(data?.error || 'Unable to send kudos.');
       }
-      setForm({ name: '', handle: '', tag: 'docs', message: '' });
+      setForm({ name: '', handle: '', tag: tags[0]?.slug || '', message: '', references: '' });
+      if (!canEdit) {
+        setNotice('Thanks! Your nomination is waiting for a maintainer to review it.');
+        return;
+      }
       await Promise.all([loadKudos(), loadStats()]);
     } catch (err) {
       setError(err?.message || 'Something went wrong.');
@@ -582,12 +1926,18 @@ function ProjectWall({ project, token, user, onLogout }) {
     }
   };
 
-  const handleBoost = async (id) => {
-    setBoosting(id);
+  const handleBoost = async (entry) => {
+    setBoosting(entry.id);
     try {
-      const response = await fetch(`${API_BASE}/projects/${key}/kudos/${id}/boost`, { method: 'POST' });
-      if (!response.ok) throw new Error('Unable to boost.');
-      await Promise.all([loadKudos(), loadStats()]);
+      const response = await fetch(`${API_BASE}/projects/${key}/kudos/${entry.id}/boost`, {
+        method: entry.cheered ? 'DELETE' : 'POST',
+        credentials: 'include',
+        headers: token ? { 'X-CSRF-Token': token } : {},
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to cheer.');
+      setKudos((prev) => prev.map((item) => (item.id === data.id ? data : item)));
+      setSnapshotVersion((version) => version + 1);
     } catch (err) {
       setError(err?.message || 'Something went wrong.');
     } finally {
@@ -604,9 +1954,10 @@ function ProjectWall({ project, token, user, onLogout }) {
     const method = isFeatured ? 'DELETE' : 'POST';
     const response = await fetch(url, {
       method,
+      credentials: 'include',
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${token}`,
+        'X-CSRF-Token': token,
       },
       body: isFeatured ? undefined : JSON.stringify({ kudosId: id }),
     });
@@ -616,18 +1967,145 @@ function ProjectWall({ project, token, user, onLogout }) {
     }
   };
 
+  const startEdit = (entry) => {
+    setEditing({
+      id: entry.id,
+      name: entry.name,
+      handle: entry.handle || '',
+      tag: entry.tag,
+      message: entry.message,
+    });
+  };
+
+  const saveEdit = async (event) => {
+    event.preventDefault();
+    if (!editing || !editing.name.trim() || !editing.message.trim()) return;
+    setSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${key}/kudos/${editing.id}`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: JSON.stringify({
+          name: editing.name.trim(),
+          handle: editing.handle.trim(),
+          tag: editing.tag,
+          message: editing.message.trim(),
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to update kudos.');
+      setKudos((prev) => prev.map((item) => (item.id === data.id ? data : item)));
+      if (history?.id === data.id) setHistory(null);
+      setEditing(null);
+      setSnapshotVersion((version) => version + 1);
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteKudos = async (id) => {
+    if (!token || !window.confirm('Remove this kudos from the wall?')) return;
+    setError('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${key}/kudos/${id}`, {
+        method: 'DELETE',
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': token },
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to delete kudos.');
+      setKudos((prev) => prev.filter((item) => item.id !== id));
+      setPage((prev) => ({ ...prev, total: Math.max(prev.total - 1, 0) }));
+      setFeaturedIds(data.featured_ids || []);
+      if (editing?.id === id) setEditing(null);
+      if (history?.id === id) setHistory(null);
+      setSnapshotVersion((version) => version + 1);
+      await loadStats();
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    }
+  };
+
+  const toggleHistory = async (id) => {
+    if (history?.id === id) {
+      setHistory(null);
+      return;
+    }
+    setHistory({ id, rows: [], loading: true, error: '' });
+    try {
+      const response = await fetch(`${API_BASE}/projects/${key}/kudos/${id}/revisions`, {
+        credentials: 'include',
+        headers: { 'X-CSRF-Token': token },
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to load history.');
+      setHistory((prev) => (prev?.id === id ? { ...prev, rows: data, loading: false } : prev));
+    } catch (err) {
+      setHistory((prev) => (prev?.id === id ? { ...prev, loading: false, error: err?.message || 'Something went wrong.' } : prev));
+    }
+  };
+
+  const startModeration = (entry) => {
+    setModerating({
+      id: entry.id,
+      name: entry.name,
+      handle: entry.handle || '',
+      tag: entry.tag,
+      message: entry.message,
+    });
+  };
+
+  const moderate = async (id, action) => {
+    setError('');
+    try {
+      const edits = action === 'approve' && moderating?.id === id
+        ? {
+          name: moderating.name.trim(),
+          handle: moderating.handle.trim(),
+          tag: moderating.tag,
+          message: moderating.message.trim(),
+        }
+        : {};
+      const response = await fetch(`${API_BASE}/projects/${key}/nominations/${id}/${action}`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: JSON.stringify(edits),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || `Unable to ${action} nomination.`);
+      setNominations((prev) => prev.filter((item) => item.id !== id));
+      if (moderating?.id === id) setModerating(null);
+      if (action === 'approve') {
+        setSnapshotVersion((version) => version + 1);
+        await Promise.all([loadKudos(), loadStats()]);
+      }
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    }
+  };
+
   const updateSettings = (next) => {
     setSettings(next);
-    setSnapshotLoading(true);
-    setSnapshotVersion((version) => version + 1);
     if (!token) return;
     if (patchTimerRef.current) clearTimeout(patchTimerRef.current);
     patchTimerRef.current = setTimeout(async () => {
       await fetch(`${API_BASE}/projects/${key}/settings`, {
         method: 'PATCH',
+        credentials: 'include',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
+          'X-CSRF-Token': token,
         },
         body: JSON.stringify(next),
       });
@@ -656,9 +2134,29 @@ function ProjectWall({ project, token, user, onLogout }) {
     });
   };
 
+  // The snapshot is served with an ETag and `no-cache`, so embeds keep a clean
+  // URL. The preview revalidates explicitly whenever this wall changes.
   useEffect(() => {
+    let active = true;
     setSnapshotLoading(true);
-  }, [snapshotUrl]);
+    fetch(snapshotUrl, { cache: 'no-cache' })
+      .then((res) => (res.ok ? res.blob() : Promise.reject(new Error('Snapshot failed'))))
+      .then((blob) => {
+        if (!active) return;
+        setSnapshotPreview(URL.createObjectURL(blob));
+      })
+      .catch(() => {
+        if (active) setSnapshotLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [snapshotUrl, snapshotVersion]);
+
+  // Revoked only once the <img> has moved on to the next URL (or unmounted).
+  useEffect(() => () => {
+    if (snapshotPreview) URL.revokeObjectURL(snapshotPreview);
+  }, [snapshotPreview]);
 
   const handleDrag = (event, id) => {
     if (!arrange) return;
@@ -668,7 +2166,7 @@ function ProjectWall({ project, token, user, onLogout }) {
   const handleDrop = (event, id) => {
     if (!arrange) return;
     event.preventDefault();
-    const draggedId = Number(event.dataTransfer.getData('text/plain'));
+    const draggedId = event.dataTransfer.getData('text/plain');
     if (!draggedId || draggedId === id) return;
     const current = orderedKudos.map((item) => item.id);
     const fromIndex = current.indexOf(draggedId);
@@ -681,6 +2179,36 @@ function ProjectWall({ project, token, user, onLogout }) {
     localStorage.setItem(`gratitude_order_${key}`, JSON.stringify(next));
   };
 
+  const clearLocalOrder = () => {
+    setOrder([]);
+    localStorage.removeItem(`gratitude_order_${key}`);
+  };
+
+  const publishArrangement = async () => {
+    setError('');
+    setNotice('');
+    try {
+      const response = await fetch(`${API_BASE}/projects/${key}/arrangement`, {
+        method: 'PATCH',
+        credentials: 'include',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-CSRF-Token': token,
+        },
+        body: JSON.stringify({ ids: orderedKudos.map((item) => item.id) }),
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data?.error || 'Unable to save arrangement.');
+      setCuratedOrder(data.curated_order);
+      clearLocalOrder();
+      setFilters((prev) => ({ ...prev, sort: 'curated' }));
+      setSnapshotVersion((version) => version + 1);
+      setNotice('Arrangement published. Everyone now sees this order under “Curated”.');
+    } catch (err) {
+      setError(err?.message || 'Something went wrong.');
+    }
+  };
+
   const copyText = async (value) => {
     try {
       await navigator.clipboard.writeText(value);
@@ -703,10 +2231,17 @@ function ProjectWall({ project, token, user, onLogout }) {
           <p className="project-label">Project Wall</p>
           <h1>{project.owner}/{project.repo}</h1>
           <p className="project-sub">Maintainer‑verified gratitude for every meaningful contribution.</p>
+          <div className="hero-tags">
+            {tags.map((tag) => (
+              <span key={tag.slug} className="tag" style={{ '--tag-color': tag.color }} title={tag.description || tag.label}>
+                #{tag.slug}
+              </span>
+            ))}
+          </div>
         </div>
         <div className="project-actions">
           {user ? (
-            <UserMenu user={user} onLogout={onLogout} />
+            <UserMenu user={user} token={token} onLogout={onLogout} onConnect={onConnect} />
           ) : (
             <span className="badge">Viewer</span>
           )}
@@ -716,10 +2251,43 @@ function ProjectWall({ project, token, user, onLogout }) {
         </div>
       </header>
 
+      {reconnect && (
+        <div className="error reconnect-notice">
+          <span>GitHub access expired or was revoked, so maintainer tools are hidden.</span>
+          <button className="secondary" onClick={onConnect}>Reconnect GitHub</button>
+        </div>
+      )}
+
+      {inviteStatus && (
+        <div className={`${inviteStatus.error ? 'error' : 'notice'} reconnect-notice`}>
+          <span>{inviteStatus.message}</span>
+          {inviteStatus.signIn && <button className="secondary" onClick={onConnect}>Sign in with GitHub</button>}
+          {inviteStatus.pending && (
+            <div className="card-actions">
+              <button className="primary" onClick={acceptInvite} disabled={inviteStatus.busy}>
+                {inviteStatus.busy ? 'Accepting…' : 'Accept invite'}
+              </button>
+              <button className="ghost" onClick={closeInvite} disabled={inviteStatus.busy}>Dismiss</button>
+            </div>
+          )}
+        </div>
+      )}
+
       <div className="tabs">
         <button className={`tab-btn ${tab === 'overview' ? 'active' : ''}`} onClick={() => setTab('overview')}>Overview</button>
         <button className={`tab-btn ${tab === 'wall' ? 'active' : ''}`} onClick={() => setTab('wall')}>Wall</button>
         <button className={`tab-btn ${tab === 'shoutouts' ? 'active' : ''}`} onClick={() => setTab('shoutouts')}>Shoutouts</button>
+        {canModerate && (
+          <button className={`tab-btn ${tab === 'queue' ? 'active' : ''}`} onClick={() => setTab('queue')}>
+            Queue{nominations.length ? ` (${nominations.length})` : ''}
+          </button>
+        )}
+        {isOwner && (
+          <button className={`tab-btn ${tab === 'automation' ? 'active' : ''}`} onClick={() => setTab('automation')}>Automation</button>
+        )}
+        {isOwner && (
+          <button className={`tab-btn ${tab === 'members' ? 'active' : ''}`} onClick={() => setTab('members')}>Members</button>
+        )}
       </div>
 
       {tab === 'overview' && (
@@ -735,13 +2303,48 @@ function ProjectWall({ project, token, user, onLogout }) {
                 <button className="secondary" onClick={() => copyText(wallUrl)}>Copy link</button>
               </div>
               <div className="link-row">
-                <span>{`![Gratitude Wall](${snapshotUrl})`}</span>
-                <button className="secondary" onClick={() => copyText(`![Gratitude Wall](${snapshotUrl})`)}>Copy README</button>
+                <span>{`![Gratitude Wall](${shareUrl})`}</span>
+                <button className="secondary" onClick={() => copyText(`![Gratitude Wall](${shareUrl})`)}>Copy README</button>
+              </div>
+              <div className="link-row">
+                <span>Light and dark variants that follow the reader's GitHub theme</span>
+                <div className="card-actions">
+                  <button className="secondary" onClick={() => copyText(pictureMarkup)}>Copy &lt;picture&gt;</button>
+                  <button className="secondary" onClick={() => copyText(themedMarkdown)}>Copy Markdown</button>
+                </div>
+              </div>
+              <div className="link-row badge-row">
+                <img src={badgeUrl} alt="Kudos badge preview" />
+                <div className="card-actions">
+                  <select value={badge.metric} onChange={(event) => setBadge({ ...badge, metric: event.target.value })}>
+                    {BADGE_METRICS.map((metric) => (
+                      <option key={metric.id} value={metric.id}>{metric.label}</option>
+                    ))}
+                  </select>
+                  <select value={badge.style} onChange={(event) => setBadge({ ...badge, style: event.target.value })}>
+                    {BADGE_STYLES.map((style) => (
+                      <option key={style} value={style}>{style}</option>
+                    ))}
+                  </select>
+                  <button className="secondary" onClick={() => copyText(badgeMarkdown)}>Copy badge</button>
+                </div>
+              </div>
+              <div className="link-row">
+                <span>Live widget for docs sites: <code>&lt;gratitude-wall owner repo limit tag sort&gt;</code></span>
+                <button className="secondary" onClick={() => copyText(embedCode)}>Copy embed</button>
+              </div>
+              <div className="link-row">
+                <span>PNG / WebP for social cards, Slack and READMEs that block SVG</span>
+                <div className="card-actions">
+                  <button className="secondary" onClick={() => copyText(snapshotImageUrl('png', 1))}>PNG 1x</button>
+                  <button className="secondary" onClick={() => copyText(snapshotImageUrl('png', 2))}>PNG 2x</button>
+                  <button className="secondary" onClick={() => copyText(snapshotImageUrl('webp', 2))}>WebP 2x</button>
+                </div>
               </div>
             </div>
             <div className="snapshot-preview">
               {snapshotLoading && <div className="snapshot-loading">Updating preview…</div>}
-              <img src={snapshotUrl} alt="Wall snapshot" onLoad={() => setSnapshotLoading(false)} />
+              {snapshotPreview && <img src={snapshotPreview} alt="Wall snapshot" onLoad={() => setSnapshotLoading(false)} />}
             </div>
           </section>
 
@@ -751,6 +2354,16 @@ function ProjectWall({ project, token, user, onLogout }) {
               <p>Pick a theme, accent, and layout that fits your community.</p>
             </div>
             <div className="customize-controls">
+              <SnapshotPresets
+                projectKey={key}
+                token={token}
+                canEdit={canEdit}
+                presets={presets}
+                active={activePreset}
+                params={presetParams}
+                onChange={setPresets}
+                onSelect={selectPreset}
+              />
               <div className="custom-group">
                 <div className="custom-label">Presets</div>
                 <div className="custom-options">
@@ -807,6 +2420,80 @@ function ProjectWall({ project, token, user, onLogout }) {
                   ))}
                 </div>
               </div>
+              <div className="custom-group">
+                <div className="custom-label">Snapshot size</div>
+                <div className="custom-options">
+                  {SNAPSHOT_SIZES.map((size) => (
+                    <button
+                      key={size.id}
+                      className={`pill-btn ${snapshotSize.id === size.id ? 'active' : ''}`}
+                      onClick={() => setSnapshotSize({ ...size, count: snapshotSize.count })}
+                    >
+                      {size.label}
+                    </button>
+                  ))}
+                  <label className="count-input">
+                    Cards
+                    <input
+                      type="number"
+                      min="1"
+                      max="30"
+                      value={snapshotSize.count}
+                      onChange={(event) => setSnapshotSize({ ...snapshotSize, count: Math.min(30, Math.max(1, Number(event.target.value) || 1)) })}
+                    />
+                  </label>
+                </div>
+              </div>
+              <div className="custom-group">
+                <div className="custom-label">Motion (README snapshot)</div>
+                <div className="custom-options">
+                  <button
+                    className={`pill-btn ${carousel.enabled ? '' : 'active'}`}
+                    onClick={() => setCarousel({ ...carousel, enabled: false })}
+                  >
+                    Static
+                  </button>
+                  <button
+                    className={`pill-btn ${carousel.enabled ? 'active' : ''}`}
+                    onClick={() => setCarousel({ ...carousel, enabled: true })}
+                  >
+                    Carousel
+                  </button>
+                  {carousel.enabled && (
+                    <>
+                      {CAROUSEL_TRANSITIONS.map((transition) => (
+                        <button
+                          key={transition.id}
+                          className={`pill-btn ${carousel.transition === transition.id ? 'active' : ''}`}
+                          onClick={() => setCarousel({ ...carousel, transition: transition.id })}
+                        >
+                          {transition.label}
+                        </button>
+                      ))}
+                      <label className="count-input">
+                        Per page
+                        <input
+                          type="number"
+                          min="1"
+                          max="12"
+                          value={carousel.pageSize}
+                          onChange={(event) => setCarousel({ ...carousel, pageSize: Math.min(12, Math.max(1, Number(event.target.value) || 1)) })}
+                        />
+                      </label>
+                      <label className="count-input">
+                        Seconds
+                        <input
+                          type="number"
+                          min="1"
+                          max="30"
+                          value={carousel.dwell}
+                          onChange={(event) => setCarousel({ ...carousel, dwell: Math.min(30, Math.max(1, Number(event.target.value) || 1)) })}
+                        />
+                      </label>
+                    </>
+                  )}
+                </div>
+              </div>
           <div className="custom-group">
             <div className="custom-label">Background</div>
             <div className="custom-options">
@@ -826,6 +2513,7 @@ function ProjectWall({ project, token, user, onLogout }) {
             <div className="custom-options column">
               <input
                 className="text-input"
+                maxLength={120}
                 value={settings.title}
                 onChange={(event) => updateSettings({ ...settings, title: event.target.value })}
               />
@@ -851,6 +2539,7 @@ function ProjectWall({ project, token, user, onLogout }) {
             <div className="custom-options column">
               <input
                 className="text-input"
+                maxLength={120}
                 value={settings.subtitle}
                 onChange={(event) => updateSettings({ ...settings, subtitle: event.target.value })}
               />
@@ -914,6 +2603,19 @@ function ProjectWall({ project, token, user, onLogout }) {
         </div>
       </section>
 
+          {canEdit && (
+            <TagManager
+              projectKey={key}
+              token={token}
+              tags={tags}
+              onChange={async (nextTags, rewritten) => {
+                setTags(nextTags);
+                setSnapshotVersion((version) => version + 1);
+                if (rewritten) await Promise.all([loadKudos(), loadStats()]);
+              }}
+            />
+          )}
+
           <section className="stats">
             <div className="stat-card">
               <div className="stat-label">Kudos Given</div>
@@ -937,8 +2639,12 @@ function ProjectWall({ project, token, user, onLogout }) {
       {tab === 'shoutouts' && (
         <section className="share">
           <div>
-            <h2>Send a shoutout</h2>
-            <p>Only maintainers can post. That keeps every note authentic.</p>
+            <h2>{token && !canEdit ? 'Nominate a contributor' : 'Send a shoutout'}</h2>
+            <p>
+              {token && !canEdit
+                ? 'Nominations land in the maintainer queue. Once approved, they appear on the wall with your name and the verifying maintainer.'
+                : 'Only maintainers can post directly. Everyone else can nominate, and a maintainer verifies before it goes live.'}
+            </p>
           </div>
           <form className="share-form" onSubmit={handleSubmit}>
             <div className="form-row">
@@ -970,11 +2676,7 @@ function ProjectWall({ project, token, user, onLogout }) {
                   onChange={(event) => setForm((prev) => ({ ...prev, tag: event.target.value }))}
                   disabled={!token}
                 >
-                  {TAGS.map((tag) => (
-                    <option key={tag} value={tag}>
-                      #{tag}
-                    </option>
-                  ))}
+                  <TagOptions tags={tags} />
                 </select>
               </label>
             </div>
@@ -989,11 +2691,118 @@ function ProjectWall({ project, token, user, onLogout }) {
                 disabled={!token}
               />
             </label>
+            <label>
+              Related work (optional)
+              <input
+                value={form.references}
+                onChange={(event) => setForm((prev) => ({ ...prev, references: event.target.value }))}
+                placeholder="#123, PR / issue / commit / discussion URLs"
+                disabled={!token}
+              />
+            </label>
             <button className="primary" type="submit" disabled={saving || !token}>
-              {saving ? 'Sending…' : token ? 'Send Kudos' : 'Login to Post'}
+              {saving ? 'Sending…' : !token ? 'Login to Post' : canEdit ? 'Send Kudos' : 'Submit Nomination'}
             </button>
           </form>
+          {notice && <div className="notice">{notice}</div>}
+          {error && <div className="error">{error}</div>}
+        </section>
+      )}
+
+      {tab === 'shoutouts' && canEdit && (
+        <PullRequestDrafts
+          projectKey={key}
+          token={token}
+          tags={tags}
+          onPosted={() => Promise.all([loadKudos(), loadStats()])}
+        />
+      )}
+
+      {tab === 'automation' && isOwner && githubApp?.enabled && (
+        <GithubAppStatus projectKey={key} token={token} status={githubApp} onChange={setGithubApp} />
+      )}
+
+      {tab === 'automation' && isOwner && (
+        <WebhookSettings
+          projectKey={key}
+          token={token}
+          onDelivered={() => Promise.all([loadNominations(), loadKudos(), loadStats()])}
+        />
+      )}
+
+      {tab === 'members' && isOwner && <WallMembers projectKey={key} token={token} currentUserId={user?.github_id} />}
+
+      {tab === 'queue' && canModerate && (
+        <section className="wall">
+          <div className="wall-header">
+            <div>
+              <h2>Moderation Queue</h2>
+              <p>Community nominations wait here until a maintainer approves them. Edit before approving to fix typos or tags.</p>
+            </div>
+          </div>
           {error && <div className="error">{error}</div>}
+          {nominations.length === 0 ? (
+            <div className="empty">No pending nominations.</div>
+          ) : (
+            <div className="card-grid">
+              {nominations.map((entry) => (
+                <article key={entry.id} className="kudos-card">
+                  <div className="card-top">
+                    <div className="card-identity">
+                      <KudosAvatar name={entry.name} avatarUrl={entry.avatar_url} />
+                      <div>
+                        <h3>{entry.name}</h3>
+                        <p className="card-handle">{entry.handle || 'Contributor'}</p>
+                      </div>
+                    </div>
+                    <span className="card-tag" style={{ '--tag-color': tagColors[entry.tag] }}>#{entry.tag}</span>
+                  </div>
+                  {moderating?.id === entry.id ? (
+                    <div className="card-edit">
+                      <input
+                        value={moderating.name}
+                        onChange={(event) => setModerating((prev) => ({ ...prev, name: event.target.value }))}
+                        placeholder="Contributor name"
+                      />
+                      <input
+                        value={moderating.handle}
+                        onChange={(event) => setModerating((prev) => ({ ...prev, handle: event.target.value }))}
+                        placeholder="@handle"
+                      />
+                      <select
+                        value={moderating.tag}
+                        onChange={(event) => setModerating((prev) => ({ ...prev, tag: event.target.value }))}
+                      >
+                        <TagOptions tags={tags} current={moderating.tag} />
+                      </select>
+                      <textarea
+                        rows="3"
+                        value={moderating.message}
+                        onChange={(event) => setModerating((prev) => ({ ...prev, message: event.target.value }))}
+                      />
+                    </div>
+                  ) : (
+                    <p className="card-message">“{entry.message}”</p>
+                  )}
+                  <div className="card-meta">
+                    <span>{entry.nominated_by ? `Nominated by @${entry.nominated_by}` : entry.source === 'webhook' ? 'Drafted from a merged PR' : 'Draft'}</span>
+                    <span>{formatDate(entry.created_at)}</span>
+                  </div>
+                  <div className="card-actions">
+                    <button className="primary" onClick={() => moderate(entry.id, 'approve')}>
+                      {moderating?.id === entry.id ? 'Save & Approve' : 'Approve'}
+                    </button>
+                    <button className="ghost" onClick={() => moderate(entry.id, 'reject')}>Reject</button>
+                    {moderating?.id === entry.id ? (
+                      <button className="ghost" onClick={() => setModerating(null)}>Cancel</button>
+                    ) : (
+                      <button className="ghost" onClick={() => startModeration(entry)}>Edit</button>
+                    )}
+                  </div>
+                </article>
+              ))}
+            </div>
+          )}
         </section>
       )}
 
@@ -1003,30 +2812,48 @@ function ProjectWall({ project, token, user, onLogout }) {
             <div>
               <h2>Gratitude Wall</h2>
               <p>Drag to arrange when in arrange mode. Pin highlights to feature them in the snapshot.</p>
+              {!loading && page.total > 0 && (
+                <p className="wall-count">Showing {kudos.length} of {page.total}</p>
+              )}
             </div>
+            {(arrange || order.length > 0) && (
+              <div className="card-actions">
+                {order.length > 0 && <span className="wall-count">Using your personal order on this device.</span>}
+                {order.length > 0 && <button className="ghost" onClick={clearLocalOrder}>Clear my order</button>}
+                {arrange && canEdit && (
+                  <button className="primary" onClick={publishArrangement}>Publish arrangement for everyone</button>
+                )}
+              </div>
+            )}
+            {notice && tab === 'wall' && <div className="notice">{notice}</div>}
             <div className="wall-controls">
               <input
-                placeholder="Search by name or message"
+                placeholder="Search by name, handle, message or tag"
                 value={filters.query}
-                onChange={(event) => setFilters((prev) => ({ ...prev, query: event.target.value }))}
+                onChange={(event) => {
+                  const value = event.target.value;
+                  setFilters((prev) => ({
+                    ...prev,
+                    query: value,
+                    sort: prev.sort === 'relevance' && !value.trim() ? 'recent' : prev.sort,
+                  }));
+                }}
               />
               <select
                 value={filters.tag}
                 onChange={(event) => setFilters((prev) => ({ ...prev, tag: event.target.value }))}
               >
                 <option value="all">All tags</option>
-                {TAGS.map((tag) => (
-                  <option key={tag} value={tag}>
-                    #{tag}
-                  </option>
-                ))}
+                <TagOptions tags={tags} />
               </select>
               <select
                 value={filters.sort}
                 onChange={(event) => setFilters((prev) => ({ ...prev, sort: event.target.value }))}
               >
+                {curatedOrder.length > 0 && <option value="curated">Curated</option>}
                 <option value="recent">Most recent</option>
                 <option value="top">Most cheered</option>
+                <option value="relevance" disabled={!filters.query.trim()}>Best match</option>
               </select>
             </div>
           </div>
@@ -1036,7 +2863,7 @@ function ProjectWall({ project, token, user, onLogout }) {
           ) : orderedKudos.length === 0 ? (
             <div className="empty">No kudos yet. Maintainers can add the first.</div>
           ) : (
-            <div className={`card-grid ${arrange ? 'arrange' : ''} ${settings.layout === 'compact' ? 'compact' : ''}`}>
+            <div className={`card-grid ${arrange ? 'arrange' : ''} ${settings.layout !== 'masonry' ? settings.layout : ''}`}>
               {orderedKudos.map((entry) => {
                 const isFeatured = featuredIds.includes(entry.id);
                 return (
@@ -1052,51 +2879,281 @@ function ProjectWall({ project, token, user, onLogout }) {
                       <div className="card-identity">
                         <KudosAvatar name={entry.name} avatarUrl={entry.avatar_url} />
                         <div>
-                          <h3>{entry.name}</h3>
-                          <p className="card-handle">{entry.handle || 'Contributor'}</p>
+                          <h3><Highlight text={entry.name} query={filters.query} /></h3>
+                          <p className="card-handle">{entry.handle ? <Highlight text={entry.handle} query={filters.query} /> : 'Contributor'}</p>
                         </div>
                       </div>
-                      <span className="card-tag">#{entry.tag}</span>
+                      <span className="card-tag" style={{ '--tag-color': tagColors[entry.tag] }}>#<Highlight text={entry.tag} query={filters.query} /></span>
                     </div>
-                    <p className="card-message">“{entry.message}”</p>
+                    {editing?.id === entry.id ? (
+                      <form className="card-edit" onSubmit={saveEdit}>
+                        <input
+                          value={editing.name}
+                          onChange={(event) => setEditing((prev) => ({ ...prev, name: event.target.value }))}
+                          placeholder="Contributor name"
+                          required
+                        />
+                        <input
+                          value={editing.handle}
+                          onChange={(event) => setEditing((prev) => ({ ...prev, handle: event.target.value }))}
+                          placeholder="@handle"
+                        />
+                        <select
+                          value={editing.tag}
+                          onChange={(event) => setEditing((prev) => ({ ...prev, tag: event.target.value }))}
+                        >
+                          <TagOptions tags={tags} current={editing.tag} />
+                        </select>
+                        <textarea
+                          rows="3"
+                          value={editing.message}
+                          onChange={(event) => setEditing((prev) => ({ ...prev, message: event.target.value }))}
+                          required
+                        />
+                        <div className="card-actions">
+                          <button className="primary" type="submit" disabled={saving}>
+                            {saving ? 'Saving…' : 'Save'}
+                          </button>
+                          <button className="ghost" type="button" onClick={() => setEditing(null)}>Cancel</button>
+                        </div>
+                      </form>
+                    ) : (
+                      <p className="card-message">“<Highlight text={entry.message} query={filters.query} />”</p>
+                    )}
+                    {entry.references?.length > 0 && (
+                      <div className="ref-chips">
+                        {entry.references.map((ref) => (
+                          <a
+                            key={ref.url}
+                            className={`ref-chip ${ref.type} ${ref.state || ''}`}
+                            href={ref.url}
+                            target="_blank"
+                            rel="noreferrer"
+                            title={ref.title || ref.label}
+                          >
+                            <span className="ref-chip-label">{ref.label}</span>
+                            {ref.title && <span className="ref-chip-title">{ref.title}</span>}
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                    {entry.nominated_by && (
+                      <p className="card-credit">
+                        Nominated by @{entry.nominated_by}{entry.approved_by ? ` · verified by @${entry.approved_by}` : ''}
+                      </p>
+                    )}
                     <div className="card-meta">
-                      <span>{formatDate(entry.created_at)}</span>
+                      <span>{formatDate(entry.created_at)}{entry.updated_at ? ' · edited' : ''}</span>
                       <span>{spotlight?.id === entry.id ? 'Spotlight' : ''}</span>
                     </div>
                     <div className="card-actions">
                       <button
-                        className="secondary"
-                        onClick={() => handleBoost(entry.id)}
+                        className={`secondary ${entry.cheered ? 'cheered' : ''}`}
+                        onClick={() => handleBoost(entry)}
                         disabled={boosting === entry.id}
+                        aria-pressed={Boolean(entry.cheered)}
+                        title={entry.cheered ? 'Click to undo your cheer' : 'Cheer this kudos'}
                       >
-                        {boosting === entry.id ? 'Cheering…' : `Cheer (${entry.boosts})`}
+                        {boosting === entry.id ? 'Cheering…' : `${entry.cheered ? 'Cheered' : 'Cheer'} (${entry.boosts})`}
                       </button>
-                      {token && (
+                      {canEdit && (
                         <button className="ghost" onClick={() => toggleFeatured(entry.id)}>
                           {isFeatured ? 'Unpin' : 'Pin'}
                         </button>
                       )}
+                      {canModerate && (
+                        <>
+                          <button className="ghost" onClick={() => startEdit(entry)}>Edit</button>
+                          <button className="ghost" onClick={() => deleteKudos(entry.id)}>Delete</button>
+                          <button className="ghost" onClick={() => toggleHistory(entry.id)}>
+                            {history?.id === entry.id ? 'Hide history' : 'History'}
+                          </button>
+                        </>
+                      )}
                     </div>
+                    {history?.id === entry.id && (
+                      <div className="card-history">
+                        {history.loading && <div className="card-history-empty">Loading history…</div>}
+                        {history.error && <div className="card-history-empty">{history.error}</div>}
+                        {!history.loading && !history.error && history.rows.length === 0 && (
+                          <div className="card-history-empty">No edits yet.</div>
+                        )}
+                        {history.rows.map((revision) => (
+                          <div key={revision.id} className="card-history-row">
+                            <div className="card-history-title">
+                              @{revision.editor_login} {revision.action === 'delete' ? 'deleted' : 'edited'} · {formatDate(revision.created_at)}
+                            </div>
+                            {Object.entries(revision.diff).map(([field, change]) => (
+                              <div key={field} className="card-history-diff">
+                                <span className="card-history-field">{field}</span>
+                                <del>{change.from || '—'}</del>
+                                <ins>{change.to || '—'}</ins>
+                              </div>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </article>
                 );
               })}
             </div>
           )}
+          {!loading && page.nextCursor && (
+            <div className="load-more" ref={loadMoreRef}>
+              <button className="secondary" onClick={loadMoreKudos} disabled={loadingMore}>
+                {loadingMore ? 'Loading…' : 'Load more'}
+              </button>
+            </div>
+          )}
         </section>
       )}
     </div>
   );
 }
 
+// Chrome-less, read-only wall rendered inside the <gratitude-wall> iframe.
+// Reports its height to the host page so the frame never scrolls.
+function EmbedWall({ project }) {
+  const params = new URLSearchParams(window.location.search);
+  const limit = Math.min(Math.max(Number.parseInt(params.get('limit'), 10) || 12, 1), 100);
+  const tag = params.get('tag') || '';
+  const sort = ['recent', 'top', 'curated'].includes(params.get('sort')) ? params.get('sort') : 'recent';
+  const [settings, setSettings] = useState(null);
+  const [tags, setTags] = useState(DEFAULT_TAGS);
+  const [kudos, setKudos] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [prefersDark, setPrefersDark] = useState(false);
+  const rootRef = useRef(null);
+  const key = `${project.owner}/${project.repo}`;
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        const query = new URLSearchParams({ limit: String(limit), sort });
+        if (tag) query.set('tag', tag);
+        const [projectRes, kudosRes] = await Promise.all([
+          fetch(`${API_BASE}/projects/${key}`),
+          fetch(`${API_BASE}/projects/${key}/kudos?${query.toString()}`),
+        ]);
+        if (projectRes.ok) {
+          const data = await projectRes.json();
+          setSettings(data.settings || {});
+          if (data.tags?.length) setTags(data.tags);
+        }
+        if (kudosRes.ok) {
+          const data = await kudosRes.json();
+          setKudos(data.items);
+        }
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [key, limit, tag, sort]);
+
+  useEffect(() => {
+    document.body.classList.add('embedded');
+    return () => document.body.classList.remove('embedded');
+  }, []);
+
+  useEffect(() => {
+    const query = window.matchMedia('(prefers-color-scheme: dark)');
+    const update = () => setPrefersDark(query.matches);
+    update();
+    query.addEventListener('change', update);
+    return () => query.removeEventListener('change', update);
+  }, []);
+
+  useEffect(() => {
+    if (window.parent === window || !rootRef.current) return undefined;
+    const report = () => {
+      window.parent.postMessage(
+        { type: 'gratitude-wall:resize', owner: project.owner, repo: project.repo, height: Math.ceil(rootRef.current.getBoundingClientRect().height) },
+        '*'
+      );
+    };
+    const observer = new ResizeObserver(report);
+    observer.observe(rootRef.current);
+    report();
+    return () => observer.disconnect();
+  }, [project.owner, project.repo]);
+
+  const midnight = settings?.theme === 'midnight' || (settings?.theme === 'auto' && prefersDark);
+  const tagColors = Object.fromEntries(tags.map((entry) => [entry.slug, entry.color]));
+  // The light-theme defaults are unreadable on midnight cards, mirror the snapshot.
+  const cardText = midnight && (!settings?.cardTextColor || settings.cardTextColor === '#161515') ? '#f5f5f5' : settings?.cardTextColor;
+  const cardSubtext = midnight && (!settings?.cardSubtextColor || settings.cardSubtextColor === '#5d5a56') ? '#c5c5c5' : settings?.cardSubtextColor;
+  const layout = settings?.layout && settings.layout !== 'masonry' ? settings.layout : '';
+
+  return (
+    <div
+      ref={rootRef}
+      className={`embed ${midnight ? 'midnight' : ''}`}
+      style={{
+        '--accent': settings?.accent,
+        '--card-text': cardText,
+        '--card-subtext': cardSubtext,
+      }}
+    >
+      {loading ? (
+        <div className="empty">Loading gratitude…</div>
+      ) : kudos.length === 0 ? (
+        <div className="empty">No kudos yet.</div>
+      ) : (
+        <div className={`card-grid ${layout}`}>
+          {kudos.map((entry) => (
+            <article key={entry.id} className="kudos-card">
+              <div className="card-top">
+                <div className="card-identity">
+                  <KudosAvatar name={entry.name} avatarUrl={entry.avatar_url} />
+                  <div>
+                    <h3>{entry.name}</h3>
+                    <p className="card-handle">{entry.handle || 'Contributor'}</p>
+                  </div>
+                </div>
+                <span className="card-tag" style={{ '--tag-color': tagColors[entry.tag] }}>#{entry.tag}</span>
+              </div>
+              <p className="card-message">“{entry.message}”</p>
+              {entry.references?.length > 0 && (
+                <div className="ref-chips">
+                  {entry.references.map((ref) => (
+                    <a key={ref.url} className={`ref-chip ${ref.type} ${ref.state || ''}`} href={ref.url} target="_blank" rel="noreferrer" title={ref.title || ref.label}>
+                      <span className="ref-chip-label">{ref.label}</span>
+                      {ref.title && <span className="ref-chip-title">{ref.title}</span>}
+                    </a>
+                  ))}
+                </div>
+              )}
+              <div className="card-meta">
+                <span>{formatDate(entry.created_at)}</span>
+                <span>{entry.boosts ? `${entry.boosts} cheers` : ''}</span>
+              </div>
+            </article>
+          ))}
+        </div>
+      )}
+      <a className="embed-credit" href={`${window.location.origin}/p/${key}`} target="_blank" rel="noreferrer">
+        See the full {key} gratitude wall →
+      </a>
+    </div>
+  );
+}
+
 function App() {
   const { path, go } = useRoute();
-  const { token, setToken, user, logout } = useAuth();
+  const { token, user, logout, loadMe } = useAuth();
   const [creating, setCreating] = useState(false);
   const [error, setError] = useState('');
   const project = parseProject(path);
+  const embed = parseEmbed(path);
 
+  // The backend only honours return_to on allowlisted origins, so after GitHub
+  // the user lands back on the wall they started from.
   const handleConnect = () => {
-    window.location.href = `${API_BASE}/auth/github`;
+    const returnTo = `${window.location.origin}${window.location.pathname}${window.location.search}`;
+    window.location.href = `${API_BASE}/auth/github?return_to=${encodeURIComponent(returnTo)}`;
   };
 
   const handleCreateWall = async (owner, repo) => {
@@ -1109,9 +3166,10 @@ function App() {
     try {
       const response = await fetch(`${API_BASE}/projects/from-github`, {
         method: 'POST',
+        credentials: 'include',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
+          'X-CSRF-Token': token,
         },
         body: JSON.stringify({ owner, repo }),
       });
@@ -1126,14 +3184,25 @@ function App() {
   };
 
   if (path.startsWith('/auth/callback')) {
-    return <AuthCallback onToken={setToken} onConnect={handleConnect} />;
+    return (
+      <AuthCallback
+        onConnect={handleConnect}
+        onSignedIn={async () => {
+          if (await loadMe()) go('/');
+        }}
+      />
+    );
+  }
+
+  if (embed) {
+    return <EmbedWall project={embed} />;
   }
 
   return (
     <div className="page">
       {!project && (
         <>
-          <Hero onConnect={handleConnect} user={user} onLogout={logout} />
+          <Hero onConnect={handleConnect} user={user} token={token} onLogout={logout} />
           <RepoPicker
             token={token}
             onConnect={handleConnect}
@@ -1146,7 +3215,7 @@ function App() {
         </>
       )}
       {project && (
-        <ProjectWall project={project} token={token} user={user} onLogout={logout} />
+        <ProjectWall project={project} token={token} user={user} onLogout={logout} onConnect={handleConnect} />
       )}
       <footer className="footer">
         <div>Made with <span className="heart" aria-hidden="true">♥</span> by Rohit</div>
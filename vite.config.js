@@ -1,9 +1,33 @@
-import { defineConfig } from 'vite';
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { defineConfig, loadEnv } from 'vite';
 import react from '@vitejs/plugin-react';
 
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    port: 5173,
-  },
+// Netlify reads _redirects before netlify.toml and cannot expand env vars, so
+// the wall page proxy is prepended at build time from the deploy's own API URL.
+function wallPageProxy(apiUrl) {
+  let outDir = 'dist';
+  return {
+    name: 'wall-page-proxy',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir);
+    },
+    async closeBundle() {
+      if (!apiUrl) return;
+      const file = resolve(outDir, '_redirects');
+      const rules = await readFile(file, 'utf8').catch(() => '');
+      await writeFile(file, `/p/*  ${apiUrl.replace(/\/+$/, '')}/p/:splat  200!\n${rules}`);
+    },
+  };
+}
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), 'VITE_');
+  return {
+    plugins: [react(), wallPageProxy(env.VITE_API_URL)],
+    server: {
+      port: 5173,
+    },
+  };
 });